@@ -1,8 +1,25 @@
 import debounce from 'lodash.debounce';
+import { after, before, gt, gte, lt, lte, different } from './rules/compare';
+import { maxSize, minSize, maxTotalSize, minTotalSize } from './rules/file-size';
+import { mimes, extensions } from './rules/file-type';
+import { minWidth, maxWidth, minHeight, maxHeight, ratio } from './rules/image-size';
 import matchRule from './rules/match';
+import maxCheckedRule from './rules/max-checked';
+import maxFilesRule from './rules/max-files';
+import minCheckedRule from './rules/min-checked';
+import { trim, collapseWhitespace, lowercase, digitsOnly } from './normalizers';
+import defaultRenderer from './renderers/default';
+import bootstrapRenderer from './renderers/bootstrap';
+import tailwindRenderer from './renderers/tailwind';
+import bulmaRenderer from './renderers/bulma';
 import referenceRule from './rules/reference';
 import remoteRule from './rules/remote';
 import enLocale from './locales/en';
+import formatMessage from './utils/message-format';
+import parseInputValue, { DATE_TYPES, parseWeek } from './utils/input-value';
+import { SIZE_LABELS, splitFileSize } from './utils/files';
+import encodeBody, { appendQuery, formEntries, readBody, sendRequest } from './utils/request';
+import normalizeParams, { LIVE_TYPES, PARAM_TYPES } from './utils/rule-params';
 
 /**
  * EagerForm
@@ -29,6 +46,25 @@ export default class EagerForm {
    */
   static rules = {};
 
+  /**
+   * Normalizers registry
+   *
+   * @type {Object}
+   */
+  static normalizers = {};
+
+  /**
+   * Renderers registry, see the `renderer` option
+   *
+   * @type {Object}
+   */
+  static renderers = {
+    default: defaultRenderer,
+    bootstrap: bootstrapRenderer,
+    tailwind: tailwindRenderer,
+    bulma: bulmaRenderer
+  };
+
   /**
    * Locale registry
    *
@@ -36,12 +72,33 @@ export default class EagerForm {
    */
   static messages = {};
 
+  /**
+   * Async locale loaders keyed by locale
+   *
+   * @type {Object}
+   */
+  static localeLoaders = {};
+
+  /**
+   * Locales being loaded right now, keyed by locale
+   *
+   * @type {Object}
+   */
+  static pendingLocales = {};
+
+  /**
+   * Number of forms given a generated id
+   *
+   * @type {Number}
+   */
+  static formCount = 0;
+
   /**
    * Reserved words that can't be used as rule name
    *
    * @type {Array}
    */
-  static reservedWords = ['error', 'debounce', 'delay'];
+  static reservedWords = ['error', 'debounce', 'delay', 'label', 'when', 'required-if', 'depends', 'rules', 'bail'];
 
   /**
    * Default options
@@ -49,6 +106,8 @@ export default class EagerForm {
    * @type {Object}
    *
    * @property {string}    locale                       =>   The locale for EagerForm
+   * @property {string}    fallbackLocale               =>   The locale to use when a message is missing from the locale
+   *                                                    and its language, e.g: pt-BR -> pt -> en
    * @property {Boolean}      showSuccessState             =>   Whether to show success state or not
    * @property {Boolean}      focusFirstError              =>   Whether to focus first error or not
    * @property {Boolean}      autoScroll                   =>   Whether to autoscroll to first error or not
@@ -59,7 +118,8 @@ export default class EagerForm {
    * @property {object}    delay                        =>   Delay for specific revalidate events
    * @property {object}    debounce                     =>   Debounce for specific revalidate events
    * @property {Boolean}      validateWithoutName          =>   Whether to validate inputs without a "name" attribute
-   * @property {Boolean}      captureSubmit                =>   Whether to capture the form submit or not
+   * @property {Boolean}      captureSubmit                =>   Whether to capture the form submit or not, the other
+   *                                                    submit listeners of the form only get the valid submission
    * @property {Boolean}      disableSubmit                =>   Whether to disable submit on submit capture or
    *                                                    not,`captureSubmit` must be set to true.
    * @property {Boolean}      captureReset                 =>   Whether to capture the form reset or not
@@ -81,9 +141,67 @@ export default class EagerForm {
    *                                                      input is invalid
    * @property {string}    classes.invalidFeedbackClass =>   Class name to add to the invalid feedback element
    * @property {string}    classes.disabled             =>   Class name to add to disable elements/form
+   * @property {string}    classes.busy                 =>   Class name to add to the submit button while the form is sent
+   * @property {string}    classes.errorSummaryClass    =>   Class name to add to the error summary
+   * @property {string}    classes.errorSummaryTitleClass =>   Class name to add to the title of the error summary
+   * @property {string}    classes.errorSummaryListClass =>   Class name to add to the list of the error summary
+   * @property {Boolean|string|HTMLElement} errorSummary =>   Whether to list every error at the top of the form on a
+   *                                                    failed submit, a selector or an element can be given to use
+   *                                                    an existing container, it's created otherwise
+   * @property {object}    fields                       =>   Rules, parameters and messages of fields keyed by the field
+   *                                                    name, used when the element doesn't have the attribute, e.g:
+   *                                                    { email: { required: true, remote: '/check?e={value}',
+   *                                                    messages: { remote: 'Taken' } } }
+   * @property {object}    formats                      =>   Intl.NumberFormat/Intl.DateTimeFormat options to format the
+   *                                                    message placeholders with, keyed by input type: number, date,
+   *                                                    time, month, week and datetime-local. A function receiving the
+   *                                                    parsed value and the locale can be used instead. File sizes
+   *                                                    are formatted with the `size` options, in bytes up to terabytes.
+   * @property {object}    remote                       =>   Options of the remote rule, can be overridden per element
+   *                                                    with the data-eager-remote-options attribute (JSON)
+   * @property {string}    remote.method                =>   HTTP method
+   * @property {object}    remote.headers               =>   HTTP headers
+   * @property {Number}    remote.timeout               =>   Milliseconds to wait before it's treated as a network
+   *                                                    error, 0 to wait forever
+   * @property {string}    remote.onNetworkError        =>   What a network error means, one of these: "fail", "pass",
+   *                                                    "retry" (fails once the retries run out)
+   * @property {Number}    remote.retries               =>   How many times to retry on network errors
+   * @property {string}    remote.send                  =>   Data to send, one of these: "none", "field" (only the field)
+   *                                                    or "form" (the whole form), appended to the URL for GET
+   * @property {string}    remote.encoding              =>   Encoding of the sent data, either "form" (urlencoded) or "json"
+   * @property {Number}    remote.cache                 =>   Milliseconds to cache the outcome of a request for, 0 to
+   *                                                    disable caching
+   * @property {string}    steps                        =>   Selector of the steps when the form is a multi-step wizard,
+   *                                                    see next(), prev() and the [data-eager-next]/[data-eager-prev]
+   *                                                    buttons
+   * @property {Boolean}   observe                      =>   Whether to watch the form for added and removed fields, so they
+   *                                                    are registered and cleaned up automatically
+   * @property {Function}  transport                    =>   Replaces fetch to send the requests, receives the URL and the
+   *                                                    fetch options, must return a promise resolving with a Response
+   *                                                    like object
+   * @property {Array}     normalize                    =>   Normalizers applied to every field, e.g: ['trim']. A field
+   *                                                    opts out with data-eager-<normalizer>="false"
+   * @property {Boolean}   normalizeOnBlur              =>   Whether to write the normalized value back to the field when
+   *                                                    it loses focus
+   * @property {Boolean|object} ajax                    =>   Whether to send the valid form to its action/method with the
+   *                                                    `transport` instead of letting the browser navigate. An object
+   *                                                    overrides EagerForm.ajaxDefaults: encoding ("form-data", "json"
+   *                                                    or "form"), headers and timeout. The outcome is dispatched as
+   *                                                    eager:submit-success/eager:submit-error, the errors of a 422
+   *                                                    response are shown with setErrors()
+   * @property {Boolean}   bail                         =>   Whether to run the custom rules of a field one after another
+   *                                                    and stop at the first failure, otherwise they all run at once.
+   *                                                    Can be set per field with data-eager-bail
+   * @property {string}    messages                     =>   Which failing messages of a field to show, one of these:
+   *                                                    "first", "all" (as a list) or "last"
+   * @property {string|object} renderer                 =>   How the errors are drawn, the name of a registered renderer
+   *                                                    (default, bootstrap, tailwind or bulma) or an object with the
+   *                                                    renderError, renderValid and clear methods, see
+   *                                                    renderers/default.js. Missing methods fall back to the default
    */
   static defaultOptions = {
     locale: 'en',
+    fallbackLocale: 'en',
     showSuccessState: true,
     autoScroll: true,
     focusFirstError: true,
@@ -110,10 +228,64 @@ export default class EagerForm {
       parentValidClass: 'has-valid-input',
       parentInvalidClass: 'has-invalid-input',
       invalidFeedbackClass: 'invalid-feedback',
-      disabled: 'disabled'
-    }
+      disabled: 'disabled',
+      errorSummaryClass: 'eager-error-summary',
+      errorSummaryTitleClass: 'eager-error-summary-title',
+      errorSummaryListClass: 'eager-error-summary-list',
+      busy: 'is-busy'
+    },
+    errorSummary: false,
+    fields: {},
+    formats: {
+      number: {},
+      date: { year: 'numeric', month: 'long', day: 'numeric' },
+      time: { hour: 'numeric', minute: 'numeric' },
+      month: { year: 'numeric', month: 'long' },
+      week: null,
+      'datetime-local': { year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: 'numeric' },
+      size: { maximumFractionDigits: 1 }
+    },
+    remote: {
+      method: 'GET',
+      headers: {},
+      timeout: 10000,
+      onNetworkError: 'fail',
+      retries: 1,
+      send: 'none',
+      encoding: 'form',
+      cache: 0
+    },
+    transport: null,
+    observe: false,
+    steps: null,
+    normalize: [],
+    normalizeOnBlur: false,
+    ajax: false,
+    bail: true,
+    messages: 'first',
+    renderer: 'default'
+  };
+
+  /**
+   * Default settings of the AJAX submission, see the `ajax` option
+   *
+   * @type {Object}
+   */
+  static ajaxDefaults = {
+    encoding: 'form-data',
+    headers: {
+      Accept: 'application/json'
+    },
+    timeout: 0
   };
 
+  /**
+   * Native constraint attributes that can be declared in the `fields` option
+   *
+   * @type {Array}
+   */
+  static nativeConstraints = ['required', 'pattern', 'min', 'max', 'step', 'minlength', 'maxlength'];
+
   /**
    * Create a new instance of EagerForm
    *
@@ -137,11 +309,60 @@ export default class EagerForm {
     this.submitBtn = this.form.querySelector('[type="submit"]');
 
     /**
-     * To store settimeouts
+     * To store settimeouts, keyed by element then by event type
      *
-     * @type {Object}
+     * @type {Map}
+     */
+    this.intervals = new Map();
+
+    /**
+     * Debounced validators, keyed by element then by event type and wait
+     *
+     * @type {Map}
+     */
+    this.debouncers = new Map();
+
+    /**
+     * Feedback elements created by EagerForm, keyed by the element they belong to
+     *
+     * @type {Map}
+     */
+    this.feedbackElements = new Map();
+
+    /**
+     * Watches the form for added/removed fields when the `observe` option is enabled
+     *
+     * @type {MutationObserver|null}
+     */
+    this.observer = null;
+
+    /**
+     * The error summary container
+     *
+     * @type {HTMLElement|null}
+     */
+    this.summaryElement = null;
+
+    /**
+     * Prefix of the generated ids when the form has no id, see getFormId()
+     *
+     * @type {String|null}
+     */
+    this.idPrefix = null;
+
+    /**
+     * Whether the error summary is updated live or not, it's activated on a failed submit
+     *
+     * @type {boolean}
+     */
+    this.summaryActive = false;
+
+    /**
+     * Index of the current step, when the `steps` option is set
+     *
+     * @type {Number}
      */
-    this.intervals = {};
+    this.currentStep = 0;
 
     /**
      * Whether currently focusing an invalid element or not
@@ -150,6 +371,34 @@ export default class EagerForm {
      */
     this.isFocusing = false;
 
+    /**
+     * Whether the form is being submitted again after a successful validation
+     *
+     * @type {boolean}
+     */
+    this.isSubmitting = false;
+
+    /**
+     * The running AJAX submission, see the `ajax` option
+     *
+     * @type {Promise|null}
+     */
+    this.pendingSubmission = null;
+
+    /**
+     * The submission held by handleSubmit(), from its validation until it's let through (or sent, see `ajax`)
+     *
+     * @type {Promise|null}
+     */
+    this.heldSubmission = null;
+
+    /**
+     * Aborts the running AJAX submission
+     *
+     * @type {AbortController|null}
+     */
+    this.submitController = null;
+
     /**
      * Types of event that do not bubble
      *
@@ -162,17 +411,142 @@ export default class EagerForm {
      *
      * @type {Object}
      */
-    this.options = { ...EagerForm.defaultOptions, ...options };
+    this.options = {
+      ...EagerForm.defaultOptions,
+      ...options,
+      // Keep the default classes that aren't overridden
+      classes: { ...EagerForm.defaultOptions.classes, ...options.classes }
+    };
+
+    /**
+     * Draws the errors, see the `renderer` option
+     *
+     * @type {Object}
+     */
+    this.renderer = this.getRenderer();
+
+    /**
+     * Rules of this instance, inherits the global rules registry
+     *
+     * @type {Object}
+     */
+    this.rules = Object.create(EagerForm.rules);
+
+    /**
+     * Messages of this instance keyed by locale, these take precedence over the global locale registry
+     *
+     * @type {Object}
+     */
+    this.messages = {};
+
+    /**
+     * The latest validation result of each validated element
+     *
+     * @type {Map}
+     */
+    this.results = new Map();
+
+    /**
+     * The latest validation of each element, older validations that settle later are discarded
+     *
+     * @type {Map}
+     */
+    this.pendingValidations = new Map();
+
+    /**
+     * Abort controllers of the pending remote requests, keyed by element
+     *
+     * @type {Map}
+     */
+    this.remoteRequests = new Map();
+
+    /**
+     * Outcomes of the remote requests, keyed by method, URL and body
+     *
+     * @type {Map}
+     */
+    this.remoteCache = new Map();
+
+    /**
+     * Parsed rule parameters of each element, keyed by attribute, see getRuleParams()
+     *
+     * @type {Map}
+     */
+    this.ruleParams = new Map();
+
+    /**
+     * Parsed data-eager-rules attribute of each element, see getRuleList()
+     *
+     * @type {Map}
+     */
+    this.ruleLists = new Map();
 
-    // Make sure the locale exists
-    if (!EagerForm.messages[this.options.locale]) {
+    /**
+     * Elements whose custom validity was set by a failing rule, as opposed to one set from the outside
+     *
+     * @type {WeakSet}
+     */
+    this.ruleErrors = new WeakSet();
+
+    /**
+     * The feedback id added to the aria-describedby of each element, see setAriaState()
+     *
+     * @type {WeakMap}
+     */
+    this.describedBy = new WeakMap();
+
+    /**
+     * Whether each busy button was disabled before being made busy, see setBusy()
+     *
+     * @type {WeakMap}
+     */
+    this.busyButtons = new WeakMap();
+
+    /**
+     * Elements that depend on the value of another element, keyed by the controlling element
+     *
+     * @type {Map}
+     */
+    this.dependents = new Map();
+
+    /**
+     * Errors set with setErrors()/setFieldError(), keyed by the element, they're kept until the field is edited
+     *
+     * @type {Map}
+     */
+    this.serverErrors = new Map();
+
+    // Make sure the locale exists, or at least can be loaded
+    let chain = this.getLocaleChain();
+
+    if (!chain.some(locale => EagerForm.messages[locale] || EagerForm.localeLoaders[locale])) {
       throw new Error(`The locale ${this.options.locale} is not loaded.`);
     }
 
+    /**
+     * Resolves once the locale is loaded, rejects if it can't be. The failure is dispatched as eager:error as well.
+     *
+     * @type {Promise<EagerForm>}
+     */
+    this.ready = Promise.resolve(this);
+
+    // Load it in background, the fallback locales are used meanwhile
+    if (chain.some(locale => !EagerForm.messages[locale] && EagerForm.localeLoaders[locale])) {
+      this.ready = this.setLocale(this.options.locale).catch((error) => {
+        this.reportError(error);
+        throw error;
+      });
+
+      // Reported with the event, awaiting it is optional
+      this.ready.catch(() => {});
+    }
+
     // Store the binded functions so they can be detached later
     this.submitHandler = this.handleSubmit.bind(this);
     this.inputHandler = this.handleInput.bind(this);
     this.resetHandler = this.handleReset.bind(this);
+    this.clickHandler = this.handleClick.bind(this);
+    this.blurHandler = this.handleBlur.bind(this);
 
     // One instance per form element, sorry
     if (!this.form.EagerForm) {
@@ -191,526 +565,2597 @@ export default class EagerForm {
    * @return void
    */
   start() {
+    Array.prototype.forEach.call(this.form.elements, (element) => {
+      this.registerField(element);
+    });
+
     this.attachEvents();
     this.form.setAttribute('novalidate', 'true');
+
+    if (this.options.steps) {
+      this.showStep(this.currentStep);
+    }
+
+    if (this.options.observe && typeof MutationObserver !== 'undefined') {
+      this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+      this.observer.observe(this.form, { childList: true, subtree: true });
+    }
   }
 
   /**
-   * Attaches events to the form
+   * Handles the fields added to or removed from the form, only when the `observe` option is enabled
+   *
+   * @param  {MutationRecord[]} mutations
    *
    * @return void
    */
-  attachEvents() {
-    if (this.options.revalidate) {
-      this.options.revalidate.forEach((event) => {
-        let useCapture = false;
-        if (this.unBubbledEvents.includes(event)) {
-          useCapture = true;
-        }
+  handleMutations(mutations) {
+    let added = [];
+
+    mutations.forEach((mutation) => {
+      Array.prototype.forEach.call(mutation.removedNodes, (node) => {
+        EagerForm.findFields(node).forEach((element) => {
+          // Moved around, not removed
+          if (!this.form.contains(element)) {
+            this.unregisterField(element);
+          }
+        });
+      });
 
-        this.form.addEventListener(event, this.inputHandler, useCapture);
+      Array.prototype.forEach.call(mutation.addedNodes, (node) => {
+        added = added.concat(EagerForm.findFields(node));
       });
-    }
+    });
 
-    // Capture submission
-    if (this.options.captureSubmit) {
-      this.form.addEventListener('submit', this.submitHandler);
+    if (!added.length) {
+      return;
     }
 
-    // Handle form reset
-    if (this.options.captureReset) {
-      this.form.addEventListener('reset', this.resetHandler);
-    }
+    added.forEach((element) => {
+      this.applySchema(element);
+      element.dispatchEvent(new CustomEvent('eager:field-added', { bubbles: true, detail: { field: element } }));
+    });
+
+    // The new fields may be referenced by the existing ones as well
+    this.dependents.clear();
+
+    Array.prototype.forEach.call(this.form.elements, (element) => {
+      this.registerDependencies(element);
+    });
   }
 
   /**
-   * Detach all registered events
+   * Find the form fields in a node, including the node itself
    *
-   * @return void
+   * @param  {Node} node
+   *
+   * @return {Array}
    */
-  detachEvents() {
-    if (this.options.revalidate) {
-      this.options.revalidate.forEach((event) => {
-        let useCapture = false;
-
-        if (this.unBubbledEvents.includes(event)) {
-          useCapture = true;
-        }
-
-        this.form.removeEventListener(event, this.inputHandler, useCapture);
-      });
+  static findFields(node) {
+    if (node.nodeType !== 1) {
+      return [];
     }
 
-    // Remove submit event
-    if (this.options.captureSubmit) {
-      this.form.removeEventListener('submit', this.submitHandler);
-    }
+    let fields = Array.prototype.slice.call(node.querySelectorAll('input,select,textarea'));
 
-    // Remove reset event
-    if (this.options.captureReset) {
-      this.form.addEventListener('reset', this.resetHandler);
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(node.tagName)) {
+      fields.unshift(node);
     }
+
+    return fields;
   }
 
   /**
-   * Add locale
+   * Clean up everything EagerForm keeps for a field that's no longer in the form: feedback elements it created,
+   * timers, pending remote requests, validation results and dependencies
    *
-   * @param {String} name
-   * @param {Object} messages
+   * @param  {HTMLFormElement} element
    *
    * @return void
    */
-  static addLocale(name, messages) {
-    this.messages[name] = messages;
-  }
+  unregisterField(element) {
+    let feedBackElement = this.feedbackElements.get(element);
 
-  /**
-   * Add/replace message to current locale
-   *
-   * @param {[type]} key
-   * @param {[type]} message
-   *
-   * @return EagerForm
-   */
-  addMessage(key, message) {
-    EagerForm.messages[this.options.locale][key] = message;
-    return this;
-  }
+    if (feedBackElement && feedBackElement.parentNode) {
+      feedBackElement.parentNode.removeChild(feedBackElement);
+    }
 
-  /**
-   * Set/overwrite messages
-   *
-   * @param {Object} messages
-   * @return EagerForm
-   */
-  setMessages(messages) {
-    EagerForm.messages[this.options.locale] = {
-      ...EagerForm.messages[this.options.locale],
-      ...messages
-    };
-    return this;
+    this.cancelPending(element);
+
+    [this.feedbackElements, this.dependents, this.serverErrors, this.ruleParams, this.ruleLists].forEach((map) => {
+      map.delete(element);
+    });
+
+    this.storeResult(element, null);
+
+    this.dependents.forEach((dependents) => {
+      dependents.delete(element);
+    });
+
+    this.form.dispatchEvent(new CustomEvent('eager:field-removed', { bubbles: true, detail: { field: element } }));
   }
 
   /**
-   * Define a global validation rule
+   * Cancel everything still to come for an element: delayed and debounced validations, pending remote requests,
+   * and the validation in progress, which won't touch the DOM once it settles
    *
-   * @param  {String} name
-   * @param  {Function} callback
+   * @param  {HTMLFormElement} element
    *
    * @return void
    */
-  static rule(name, callback) {
-    if (EagerForm.reservedWords.includes(name)) {
-      throw new Error(`${name} is a reserved word`);
+  cancelPending(element) {
+    let timers = this.intervals.get(element) || {};
+
+    for (let type in timers) {
+      clearTimeout(timers[type]);
     }
 
-    if (typeof callback !== 'function') {
-      throw new Error('Callback must be a callable function');
+    let debouncers = this.debouncers.get(element) || {};
+
+    for (let key in debouncers) {
+      debouncers[key].cancel();
     }
 
-    EagerForm.rules[name] = callback;
+    this.abortRemote(element);
+
+    [this.intervals, this.debouncers, this.pendingValidations].forEach((map) => {
+      map.delete(element);
+    });
   }
 
   /**
-   * Validate the entire form
+   * Prepare a field for validation
+   *
+   * @param  {HTMLFormElement} element
    *
    * @return void
    */
+  registerField(element) {
+    this.applySchema(element);
+    this.registerDependencies(element);
+  }
+
+  /**
+   * Apply the native constraints declared in the `fields` option to an element, as the browser can only validate
+   * what's present in the DOM. Attributes already present on the element take precedence.
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return void
+   */
+  applySchema(element) {
+    EagerForm.nativeConstraints.forEach((constraint) => {
+      if (element.hasAttribute(constraint)) {
+        return;
+      }
+
+      let value = this.getAttribute(element, constraint);
+
+      if (value !== null && value !== 'false') {
+        element.setAttribute(constraint, value === 'true' ? '' : value);
+      }
+    });
+  }
+
+  /**
+   * Register the elements an element depends on, so it's revalidated when their value changes
+   *
+   * The fields referenced by the string conditions (data-eager-when, data-eager-required-if and
+   * data-eager-<rule>-when) are detected, the ones JS predicates depend on must be listed with
+   * data-eager-depends (or `depends` in the `fields` option), e.g: "#type, country"
+   *
+   * The fields compared by rules (e.g: data-eager-after="#start") depend on each other.
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return void
+   */
+  registerDependencies(element) {
+    let prefix = `data-${EagerForm.RULE_PREFIX}-`;
+    let conditions = [`${prefix}when`, `${prefix}required-if`];
+
+    for (let key in this.rules) {
+      conditions.push(`${prefix}${key}-when`);
+    }
+
+    let references = [];
+
+    conditions.forEach((attribute) => {
+      let condition = this.getAttribute(element, attribute);
+
+      if (typeof condition === 'string') {
+        references.push(EagerForm.parseCondition(condition).reference);
+      }
+    });
+
+    let depends = this.getAttribute(element, `${prefix}depends`);
+
+    if (typeof depends === 'string') {
+      let list = [];
+
+      try {
+        // The fields option may hold an array, which is serialized as JSON
+        list = depends.charAt(0) === '[' ? JSON.parse(depends) : depends.split(',');
+      } catch (err) {
+        this.reportError(new Error(`The ${prefix}depends attribute of "${element.name || element.id}" must be a comma `
+          + `separated list or a JSON array of fields, got "${depends}".`), element);
+      }
+
+      references = references.concat(list.map(reference => String(reference).trim()));
+    }
+
+    // The same named inputs share the group rules, so they're revalidated together
+    if (this.hasGroupRules(element)) {
+      references.push(element.name);
+    }
+
+    let addDependent = (controller, dependent) => {
+      if (controller === dependent) {
+        return;
+      }
+
+      if (!this.dependents.has(controller)) {
+        this.dependents.set(controller, new Set());
+      }
+
+      this.dependents.get(controller).add(dependent);
+    };
+
+    for (let key in this.rules) {
+      let attribute = `${prefix}${key}`;
+
+      if (this.rules[key].field && this.hasAttribute(element, attribute)) {
+        let reference = this.getAttribute(element, attribute);
+
+        references.push(reference);
+
+        // The other way around too
+        this.getFieldElements(this.resolveField(reference)).forEach((target) => {
+          addDependent(element, target);
+        });
+      }
+    }
+
+    references.forEach((reference) => {
+      this.getFieldElements(this.resolveField(reference)).forEach((controller) => {
+        addDependent(controller, element);
+      });
+    });
+  }
+
+  /**
+   * Report a problem that can't be thrown, e.g: malformed markup found while registering the fields or while
+   * validating them on an event, when nobody awaits the validation
+   *
+   * Dispatched as an eager:error event on the form, its detail holds the error and the field, if any
+   *
+   * @param  {Error} error
+   * @param  {HTMLFormElement|null} field
+   *
+   * @return void
+   */
+  reportError(error, field = null) {
+    this.form.dispatchEvent(new CustomEvent('eager:error', { bubbles: true, detail: { error, field } }));
+  }
+
+  /**
+   * Revalidate the already validated elements that depend on an element
+   *
+   * Each one is validated after its own debounce/delay for the event type, see scheduleValidation()
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {String} type  The event type that changed the element
+   *
+   * @return void
+   */
+  revalidateDependents(element, type = 'change') {
+    if (!this.dependents.has(element)) {
+      return;
+    }
+
+    this.dependents.get(element).forEach((dependent) => {
+      if (this.results.has(dependent)) {
+        this.scheduleValidation(dependent, type);
+      }
+    });
+  }
+
+  /**
+   * Find a field by a CSS selector (starting with #, . or [) or by its name
+   *
+   * @param  {String} reference
+   *
+   * @return {HTMLFormElement|Array|null}
+   */
+  resolveField(reference) {
+    reference = reference.trim();
+
+    if (/^[#.[]/.test(reference)) {
+      let element = this.form.querySelector(reference) || document.querySelector(reference);
+
+      // Use the whole group for radios and checkboxes
+      if (element && ['radio', 'checkbox'].includes(element.type) && element.name) {
+        let group = this.getNamedField(element.name);
+        return group || element;
+      }
+
+      return element;
+    }
+
+    return this.getNamedField(reference);
+  }
+
+  /**
+   * Find the elements of the form having the given name or id
+   *
+   * form.elements.namedItem() is avoided, some environments return the first element only instead of a RadioNodeList
+   *
+   * @param  {String} name
+   *
+   * @return {HTMLFormElement|Array|null}  The element, or an array when several elements share the name
+   */
+  getNamedField(name) {
+    let elements = Array.prototype.filter.call(this.form.elements, element => element.name === name || element.id === name);
+
+    if (!elements.length) {
+      return null;
+    }
+
+    return elements.length === 1 ? elements[0] : elements;
+  }
+
+  /**
+   * Get the elements of a field, resolved by resolveField()
+   *
+   * @param  {HTMLFormElement|Array|null} field
+   *
+   * @return {Array}
+   */
+  getFieldElements(field) {
+    if (!field) {
+      return [];
+    }
+
+    // An array of elements, or a select element which has a length too
+    if (typeof field.length === 'number' && field.tagName !== 'SELECT') {
+      return Array.prototype.slice.call(field);
+    }
+
+    return [field];
+  }
+
+  /**
+   * Get the value(s) of a field, resolved by resolveField()
+   *
+   * Checked values are returned for checkboxes and radios, selected values for multiple selects
+   *
+   * @param  {HTMLFormElement|Array|null} field
+   *
+   * @return {Array}
+   */
+  getFieldValues(field) {
+    let values = [];
+
+    this.getFieldElements(field).forEach((element) => {
+      if (['radio', 'checkbox'].includes(element.type)) {
+        if (element.checked) {
+          values.push(element.value);
+        }
+      } else if (element.type === 'select-multiple') {
+        Array.prototype.forEach.call(element.selectedOptions, (option) => {
+          values.push(option.value);
+        });
+      } else if (this.getValue(element) !== '') {
+        values.push(this.getValue(element));
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Parse a string condition
+   *
+   * Formats: "#field" (has a value), "#field=value", "#field!=value", multiple values can be separated with |
+   *
+   * @param  {String} condition
+   *
+   * @return {Object}
+   */
+  static parseCondition(condition) {
+    // Ignore the operators inside attribute selectors
+    let start = condition.lastIndexOf(']') + 1;
+    let match = condition.slice(start).match(/(!?=)/);
+
+    if (!match) {
+      return { reference: condition.trim(), operator: null, values: [] };
+    }
+
+    let index = start + match.index;
+
+    return {
+      reference: condition.slice(0, index).trim(),
+      operator: match[1],
+      values: condition.slice(index + match[1].length).split('|').map(value => value.trim())
+    };
+  }
+
+  /**
+   * Check if a condition is met for an element
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {String|Function} condition  A string condition (see parseCondition()) or a predicate receiving the
+   *                                      element and the form
+   *
+   * @return {Boolean}
+   */
+  evaluateCondition(element, condition) {
+    if (typeof condition === 'function') {
+      return !!condition.call(this, element, this.form);
+    }
+
+    let parsed = EagerForm.parseCondition(condition);
+    let values = this.getFieldValues(this.resolveField(parsed.reference));
+
+    if (!parsed.operator) {
+      return values.length > 0;
+    }
+
+    let matches = values.some(value => parsed.values.includes(value))
+      || (!values.length && parsed.values.includes(''));
+
+    return parsed.operator === '=' ? matches : !matches;
+  }
+
+  /**
+   * Attaches events to the form
+   *
+   * @return void
+   */
+  attachEvents() {
+    // Before validating on blur, so the written back value is validated
+    if (this.options.normalizeOnBlur) {
+      this.form.addEventListener('blur', this.blurHandler, true);
+    }
+
+    if (this.options.revalidate) {
+      this.options.revalidate.forEach((event) => {
+        let useCapture = false;
+        if (this.unBubbledEvents.includes(event)) {
+          useCapture = true;
+        }
+
+        this.form.addEventListener(event, this.inputHandler, useCapture);
+      });
+    }
+
+    // Capture submission, before the other submit listeners of the form so they only get the validated one
+    if (this.options.captureSubmit) {
+      this.form.addEventListener('submit', this.submitHandler, true);
+    }
+
+    // Handle form reset
+    if (this.options.captureReset) {
+      this.form.addEventListener('reset', this.resetHandler);
+    }
+
+    // Wizard buttons
+    if (this.options.steps) {
+      this.form.addEventListener('click', this.clickHandler);
+    }
+  }
+
+  /**
+   * Detach all registered events
+   *
+   * @return void
+   */
+  detachEvents() {
+    if (this.options.revalidate) {
+      this.options.revalidate.forEach((event) => {
+        let useCapture = false;
+
+        if (this.unBubbledEvents.includes(event)) {
+          useCapture = true;
+        }
+
+        this.form.removeEventListener(event, this.inputHandler, useCapture);
+      });
+    }
+
+    // Remove submit event
+    if (this.options.captureSubmit) {
+      this.form.removeEventListener('submit', this.submitHandler, true);
+    }
+
+    // Remove reset event
+    if (this.options.captureReset) {
+      this.form.removeEventListener('reset', this.resetHandler);
+    }
+
+    if (this.options.steps) {
+      this.form.removeEventListener('click', this.clickHandler);
+    }
+
+    if (this.options.normalizeOnBlur) {
+      this.form.removeEventListener('blur', this.blurHandler, true);
+    }
+  }
+
+  /**
+   * Handles the clicks on the wizard buttons: [data-eager-next] and [data-eager-prev]
+   *
+   * @param  {MouseEvent} event
+   *
+   * @return void
+   */
+  handleClick(event) {
+    let button = event.target.closest(`[data-${EagerForm.RULE_PREFIX}-next],[data-${EagerForm.RULE_PREFIX}-prev]`);
+
+    if (!button || !this.form.contains(button)) {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (button.hasAttribute(`data-${EagerForm.RULE_PREFIX}-next`)) {
+      this.next().catch((error) => {
+        this.reportError(error);
+      });
+    } else {
+      this.prev();
+    }
+  }
+
+  /**
+   * Get the steps of the wizard
+   *
+   * @return {Array}
+   */
+  getSteps() {
+    if (!this.options.steps) {
+      return [];
+    }
+
+    return Array.prototype.slice.call(this.form.querySelectorAll(this.options.steps));
+  }
+
+  /**
+   * Validate the current step and move to the next one, only if it's valid
+   *
+   * @return {Promise<Boolean>} Whether it moved forward or not
+   */
+  next() {
+    let step = this.getSteps()[this.currentStep];
+
+    if (!step) {
+      return Promise.resolve(false);
+    }
+
+    return this.validateSection(step).then((result) => {
+      if (!result.valid) {
+        const firstErrorElement = this.getFirstError(step);
+
+        if (firstErrorElement) {
+          this.hightlightErrors(firstErrorElement);
+        }
+
+        return false;
+      }
+
+      return this.goToStep(this.currentStep + 1);
+    });
+  }
+
+  /**
+   * Move to the previous step, it's never validated
+   *
+   * @return {Promise<Boolean>} Whether it moved back or not
+   */
+  prev() {
+    return Promise.resolve(this.goToStep(this.currentStep - 1));
+  }
+
+  /**
+   * Show a step and hide the others
+   *
+   * A cancelable eager:step-change event is fired on the form, with the indexes and the elements of both steps
+   *
+   * @param  {Number} index
+   *
+   * @return {Boolean} Whether it moved or not
+   */
+  goToStep(index) {
+    let steps = this.getSteps();
+
+    if (index < 0 || index >= steps.length || index === this.currentStep) {
+      return false;
+    }
+
+    let from = this.currentStep;
+    let allowed = this.form.dispatchEvent(new CustomEvent('eager:step-change', {
+      bubbles: true,
+      cancelable: true,
+      detail: { from, to: index, fromStep: steps[from] || null, toStep: steps[index] }
+    }));
+
+    if (!allowed) {
+      return false;
+    }
+
+    this.currentStep = index;
+    this.showStep(index);
+
+    return true;
+  }
+
+  /**
+   * Show a step without any checks
+   *
+   * @param  {Number} index
+   *
+   * @return void
+   */
+  showStep(index) {
+    this.getSteps().forEach((step, position) => {
+      step.hidden = position !== index;
+    });
+  }
+
+  /**
+   * Move to the first step that contains an invalid field
+   *
+   * @return void
+   */
+  goToFirstInvalidStep() {
+    let steps = this.getSteps();
+
+    for (let index = 0; index < steps.length; index++) {
+      let invalid = Array.from(this.results.values())
+        .some(result => !result.valid && steps[index].contains(result.element));
+
+      if (invalid) {
+        this.goToStep(index);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Add locale
+   *
+   * @param {String} name
+   * @param {Object} messages
+   *
+   * @return void
+   */
+  static addLocale(name, messages) {
+    this.messages[name] = messages;
+  }
+
+  /**
+   * Register an async locale loader, it's called the first time the locale is needed
+   *
+   * The loader must return a promise that resolves with the messages, or with a module that default exports them,
+   * e.g: EagerForm.registerLocaleLoader('bn', () => import('./locales/bn'))
+   *
+   * @param {String} name
+   * @param {Function} loader
+   *
+   * @return void
+   */
+  static registerLocaleLoader(name, loader) {
+    if (typeof loader !== 'function') {
+      throw new Error('Loader must be a callable function');
+    }
+
+    this.localeLoaders[name] = loader;
+  }
+
+  /**
+   * Load a locale using its registered loader, if it isn't loaded already
+   *
+   * @param {String} name
+   *
+   * @return {Promise<Object>} Resolves with the messages of the locale
+   */
+  static loadLocale(name) {
+    if (this.messages[name]) {
+      return Promise.resolve(this.messages[name]);
+    }
+
+    if (!this.localeLoaders[name]) {
+      return Promise.reject(new Error(`The locale ${name} is not loaded.`));
+    }
+
+    if (!this.pendingLocales[name]) {
+      this.pendingLocales[name] = Promise.resolve(this.localeLoaders[name]())
+        .then((messages) => {
+          this.addLocale(name, messages && messages.default ? messages.default : messages);
+          return this.messages[name];
+        })
+        .finally(() => {
+          delete this.pendingLocales[name];
+        });
+    }
+
+    return this.pendingLocales[name];
+  }
+
+  /**
+   * Get the locales to look up messages in, from the most specific to the fallback locale
+   *
+   * @param {String} locale
+   *
+   * @return {Array} e.g: ['pt-BR', 'pt', 'en']
+   */
+  getLocaleChain(locale = this.options.locale) {
+    let chain = [];
+    let parts = locale.split('-');
+
+    while (parts.length) {
+      chain.push(parts.join('-'));
+      parts.pop();
+    }
+
+    if (this.options.fallbackLocale && !chain.includes(this.options.fallbackLocale)) {
+      chain.push(this.options.fallbackLocale);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Switch the locale of this instance, loading it first if needed, and re-render the current errors
+   *
+   * A locale of the chain that fails to load is skipped, the next one is used instead. Rejects only if none of
+   * them can be loaded.
+   *
+   * @param {String} locale
+   *
+   * @return {Promise<EagerForm>}
+   */
+  setLocale(locale) {
+    let chain = this.getLocaleChain(locale);
+    let loadable = chain.filter(name => EagerForm.messages[name] || EagerForm.localeLoaders[name]);
+
+    if (!loadable.length) {
+      return Promise.reject(new Error(`The locale ${locale} is not loaded.`));
+    }
+
+    let failures = [];
+
+    let loads = loadable.map((name) => {
+      return EagerForm.loadLocale(name).catch((error) => {
+        failures.push(error);
+      });
+    });
+
+    return Promise.all(loads).then(() => {
+      if (failures.length === loadable.length) {
+        throw failures[0];
+      }
+
+      this.options.locale = locale;
+
+      // Re-render the current errors in the new language
+      let validations = [];
+
+      this.results.forEach((result, element) => {
+        if (!result.valid) {
+          validations.push(this.validateField(element));
+        }
+      });
+
+      return Promise.all(validations).then(() => this);
+    });
+  }
+
+  /**
+   * Add/replace message to current locale of this instance only
+   *
+   * @param {String} key
+   * @param {String} message
+   *
+   * @return EagerForm
+   */
+  addMessage(key, message) {
+    return this.setMessages({ [key]: message });
+  }
+
+  /**
+   * Set/overwrite messages of the current locale for this instance only, the global locale stays intact
+   *
+   * @param {Object} messages
+   * @return EagerForm
+   */
+  setMessages(messages) {
+    this.messages[this.options.locale] = {
+      ...this.messages[this.options.locale],
+      ...messages
+    };
+    return this;
+  }
+
+  /**
+   * Define a global validation rule
+   *
+   * Rules run by ascending `priority` of the callback (0 by default, the remote rule has 100), unless the field
+   * lists them with data-eager-rules. A callback flagged with `group = true` is a group rule, its attribute can also
+   * be set on the first checkbox/radio of a name or on the element holding them, see getGroupHost(). One flagged
+   * with `field = true` takes another field as its value, both fields are revalidated when either one changes.
+   *
+   * The rule can also be a definition, its parameters are parsed from the attributes and passed to `validate` as
+   * its third argument. `value` is the rule attribute itself, other parameters are read from
+   * data-eager-<name>-<param>. Types are string, number, boolean, size, list, json, selector, field or a parser
+   * function.
+   * e.g: EagerForm.rule('max-tags', {
+   *   params: { value: 'number', separator: { type: 'string', default: ',' } },
+   *   validate(element, attribute, { value, separator }) { ... }
+   * })
+   * Definitions may set group, field and priority as well, a `field` typed value makes it a field rule. One with
+   * `bail: false` runs even after another rule of the field failed, see the `bail` option.
+   *
+   * @param  {String} name
+   * @param  {Function|Object} callback
+   *
+   * @return void
+   */
+  static rule(name, callback) {
+    EagerForm.rules[name] = EagerForm.createRule(name, callback);
+  }
+
+  /**
+   * Define a validation rule for this instance only, it overrides the global rule with the same name
+   *
+   * @param  {String} name
+   * @param  {Function|Object} callback  See EagerForm.rule()
+   *
+   * @return EagerForm
+   */
+  rule(name, callback) {
+    this.rules[name] = EagerForm.createRule(name, callback);
+    return this;
+  }
+
+  /**
+   * Turn a rule definition into a rule callback flagged with its parameters, plain callbacks are kept as they are
+   *
+   * @param  {String} name
+   * @param  {Function|Object} definition
+   *
+   * @return {Function}
+   */
+  static createRule(name, definition) {
+    // Both are enabled with the data-eager-<name> attribute
+    if (name in EagerForm.normalizers) {
+      throw new Error(`${name} is already registered as a normalizer`);
+    }
+
+    if (typeof definition === 'function') {
+      EagerForm.assertRule(name, definition);
+
+      return definition;
+    }
+
+    EagerForm.assertRule(name, definition ? definition.validate : null);
+
+    let params = normalizeParams(name, definition.params);
+
+    /** @this EagerForm */
+    let rule = function (element, attribute, values) {
+      return definition.validate.call(this, element, attribute, values);
+    };
+
+    rule.params = params;
+    rule.group = Boolean(definition.group);
+    rule.field = Boolean(definition.field) || params.value.type === 'field';
+    rule.priority = definition.priority || 0;
+    rule.bail = definition.bail !== false;
+
+    return rule;
+  }
+
+  /**
+   * Make sure a rule can be registered
+   *
+   * @param  {String} name
+   * @param  {Function} callback
+   *
+   * @return void
+   */
+  static assertRule(name, callback) {
+    if (EagerForm.reservedWords.includes(name)) {
+      throw new Error(`${name} is a reserved word`);
+    }
+
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a callable function');
+    }
+  }
+
+  /**
+   * Define a global normalizer, enabled with the data-eager-<name> attribute or the `normalize` option
+   *
+   * The callback receives the value, the element and the value of the attribute, and returns the normalized value.
+   * e.g: EagerForm.normalizer('uppercase', value => value.toUpperCase())
+   *
+   * @param  {String} name
+   * @param  {Function} callback
+   *
+   * @return void
+   */
+  static normalizer(name, callback) {
+    EagerForm.assertRule(name, callback);
+
+    // Both are enabled with the data-eager-<name> attribute
+    if (name in EagerForm.rules) {
+      throw new Error(`${name} is already registered as a rule`);
+    }
+
+    EagerForm.normalizers[name] = callback;
+  }
+
+  /**
+   * Validate the entire form
+   *
+   * Resolves once every native and custom rule of every field has settled, with the overall validity and the
+   * per-field results keyed by the field name (see validateField())
+   *
+   * @return {Promise<Object>}
+   */
   validate() {
-    Array.prototype.filter.call(this.form.elements, (element) => {
+    return this.validateElements(this.form.elements);
+  }
+
+  /**
+   * Validate the fields inside a section of the form only, e.g: a fieldset or a step of a wizard
+   *
+   * Runs the same pipeline as validate() and resolves with the same kind of result
+   *
+   * @param  {HTMLElement|String} section Element or Query string
+   *
+   * @return {Promise<Object>}
+   */
+  validateSection(section) {
+    let container = this.resolveSection(section);
+
+    if (!container) {
+      return Promise.reject(new Error(`The section ${section} is not found.`));
+    }
+
+    return this.validateElements(
+      Array.prototype.filter.call(this.form.elements, element => container.contains(element))
+    );
+  }
+
+  /**
+   * Find a section of the form
+   *
+   * @param  {HTMLElement|String} section Element or Query string
+   *
+   * @return {HTMLElement|null}
+   */
+  resolveSection(section) {
+    if (typeof section === 'object') {
+      return section;
+    }
+
+    return this.form.querySelector(section) || document.querySelector(section);
+  }
+
+  /**
+   * Validate a list of elements and summarize the results
+   *
+   * @param  {Array|HTMLFormControlsCollection} elements
+   *
+   * @return {Promise<Object>}
+   */
+  validateElements(elements) {
+    let validations = [];
+
+    Array.prototype.forEach.call(elements, (element) => {
       if (element.tagName !== 'FIELDSET') {
-        this.validateField(element);
+        validations.push(this.validateField(element));
+      }
+    });
+
+    return Promise.all(validations).then((results) => {
+      let fields = {};
+      let valid = true;
+
+      results.forEach((result) => {
+        // Skipped field
+        if (!result) {
+          return;
+        }
+
+        // Same named inputs (usually checkboxes/radios) share a single result, an invalid one takes precedence
+        if (!fields[result.name] || !result.valid) {
+          fields[result.name] = result;
+        }
+
+        if (!result.valid) {
+          valid = false;
+        }
+      });
+
+      return { valid, fields };
+    });
+  }
+
+  /**
+   * Show errors coming from the server, e.g: the errors of a Laravel 422 response
+   *
+   * The keys are field names, nested ones can use the dot notation: { email: ['Taken'], 'items.0.qty': ['Too many'] }
+   * The first error is focused, and each error stays until its field is edited.
+   *
+   * @param  {Object} errors  Messages (or arrays of messages) keyed by the field name
+   *
+   * @return {Array} The names that don't match any field
+   */
+  setErrors(errors) {
+    let unknown = [];
+    let elements = [];
+
+    Object.keys(errors || {}).forEach((name) => {
+      let element = this.showServerError(name, errors[name]);
+
+      if (element) {
+        elements.push(element);
+      } else {
+        unknown.push(name);
+      }
+    });
+
+    if (elements.length) {
+      let first = elements.sort((a, b) => {
+        return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+      })[0];
+
+      let summary = this.renderErrorSummary(true);
+      this.hightlightErrors(summary || first);
+    }
+
+    return unknown;
+  }
+
+  /**
+   * Show an error coming from the server on a single field, see setErrors()
+   *
+   * @param  {String} name  The field name, the dot notation can be used for nested names: items.0.qty
+   * @param  {String|Array} message
+   *
+   * @return {Boolean} Whether the field was found
+   */
+  setFieldError(name, message) {
+    let element = this.showServerError(name, message);
+
+    if (element) {
+      let summary = this.renderErrorSummary(true);
+      this.hightlightErrors(summary || element);
+    }
+
+    return element !== null;
+  }
+
+  /**
+   * Show an error coming from the server through the usual feedback
+   *
+   * @param  {String} name
+   * @param  {String|Array} message
+   *
+   * @return {HTMLFormElement|null} The element holding the error
+   */
+  showServerError(name, message) {
+    let element = this.findErrorField(name);
+    let messages = (Array.isArray(message) ? message : [message]).map(String).filter(text => text.length);
+
+    if (!element || !messages.length) {
+      return null;
+    }
+
+    // Outdated by now
+    this.abortRemote(element);
+
+    element.setCustomValidity(messages[0]);
+    this.renderErrors(element, messages);
+
+    let result = {
+      element,
+      name: element.getAttribute('name') || element.id,
+      valid: false,
+      validity: ['customError'],
+      rules: [],
+      messages
+    };
+
+    this.serverErrors.set(element, result);
+    this.storeResult(element, result);
+    this.trackValidation(element, Promise.resolve(result));
+
+    return element;
+  }
+
+  /**
+   * Find the field of an error, the dot notation is converted to brackets: items.0.qty => items[0][qty]
+   *
+   * @param  {String} name
+   *
+   * @return {HTMLFormElement|null}
+   */
+  findErrorField(name) {
+    let parts = String(name).split('.');
+    let candidates = [name];
+
+    if (parts.length > 1) {
+      let brackets = parts[0] + parts.slice(1).map(part => `[${part}]`).join('');
+      candidates.push(brackets);
+
+      // Items of an array field: tags.0 => tags[]
+      if (/^\d+$/.test(parts[parts.length - 1])) {
+        candidates.push(`${brackets.replace(/\[\d+\]$/, '')}[]`);
+      }
+    } else {
+      candidates.push(`${name}[]`);
+    }
+
+    for (let index = 0; index < candidates.length; index++) {
+      let element = this.getFieldElements(this.getNamedField(candidates[index]))[0];
+
+      if (element) {
+        return element;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Forget the server error of an element, and of the same named inputs (usually checkboxes/radios)
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return void
+   */
+  clearServerError(element) {
+    this.serverErrors.forEach((result, errorElement) => {
+      if (errorElement === element || (element.name && errorElement.name === element.name)) {
+        this.serverErrors.delete(errorElement);
+        errorElement.setCustomValidity('');
+      }
+    });
+  }
+
+  /**
+   * Handles form submit
+   *
+   * The submission is held until every rule (including the async ones) has settled, then it's submitted again
+   * only if the form is valid. The handler is registered in the capture phase, so the other submit listeners of
+   * the form (and the ones bubbling up from it) only get the submission fired once it's valid. Listeners capturing
+   * on an ancestor of the form still run first, and get both. Submitting again while the submission is held returns
+   * the same promise instead of validating the form twice.
+   *
+   * When the form can't be validated (e.g: malformed markup), the submission is let through anyway and left to the
+   * server, the error is reported with an eager:error event and the promise resolves with null.
+   *
+   * @param  {SubmitEvent} event
+   *
+   * @return {Promise<Object|null>|void}
+   */
+  handleSubmit(event) {
+    // Already validated, let it through
+    if (this.isSubmitting) {
+      this.isSubmitting = false;
+      return;
+    }
+
+    // Nobody else should handle the held submission, they will get the one fired by resubmit()
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    // Still being validated or sent
+    if (this.heldSubmission || this.pendingSubmission) {
+      return this.heldSubmission || this.pendingSubmission;
+    }
+
+    this.form.classList.add(this.options.classes.formValidatedClass);
+
+    let held = this.validate().then((result) => {
+      if (!result.valid) {
+        if (this.options.disableSubmit) {
+          this.disableSubmit();
+        }
+
+        // Go back to the first step with an error, so it can be highlighted
+        if (this.options.steps) {
+          this.goToFirstInvalidStep();
+        }
+
+        const summary = this.renderErrorSummary(true);
+        const firstErrorElement = summary || this.getFirstError();
+
+        if (firstErrorElement) {
+          this.hightlightErrors(firstErrorElement);
+        }
+      }
+
+      this.complete(result);
+
+      if (result.valid) {
+        return this.release(event.submitter).then(() => result);
+      }
+
+      return result;
+    }, (error) => {
+      // The form can't be validated, e.g: malformed markup, so it's let through and left to the server
+      this.reportError(error);
+
+      return this.release(event.submitter).then(() => null);
+    });
+
+    // Released once it's sent, so it can't be sent twice
+    this.heldSubmission = held.finally(() => {
+      this.heldSubmission = null;
+    });
+
+    return this.heldSubmission;
+  }
+
+  /**
+   * Let the held submission through, sent with the transport when the `ajax` option is enabled
+   *
+   * @param  {HTMLElement|null} submitter
+   *
+   * @return {Promise}
+   */
+  release(submitter = null) {
+    if (this.options.ajax) {
+      return this.submitAjax(submitter);
+    }
+
+    this.resubmit(submitter);
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Send the form to its action/method with the transport, see the `ajax` option
+   *
+   * The submitter's formaction/formmethod attributes and name/value are honored, like a regular submission.
+   *
+   * @param  {HTMLElement|null} submitter
+   *
+   * @return {Promise<Object>} Resolves with the response and its parsed body (or the network error)
+   */
+  submitAjax(submitter = null) {
+    let options = {
+      ...EagerForm.ajaxDefaults,
+      ...(typeof this.options.ajax === 'object' ? this.options.ajax : {})
+    };
+
+    let attribute = (name) => {
+      return (submitter && submitter.getAttribute(`form${name}`)) || this.form.getAttribute(name);
+    };
+
+    let url = attribute('action') || window.location.href;
+    let method = (attribute('method') || 'GET').toUpperCase();
+    let entries = this.getFormEntries(submitter);
+    let init = { method, headers: { ...options.headers }, body: null };
+
+    if (method === 'GET' || method === 'HEAD') {
+      url = appendQuery(url, entries);
+    } else {
+      let encoded = encodeBody(entries, options.encoding);
+
+      init.body = encoded.body;
+      Object.assign(init.headers, encoded.headers);
+    }
+
+    let button = submitter || this.submitBtn;
+    let dispatch = (name, detail) => {
+      this.form.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+    };
+
+    this.setBusy(button, true);
+    this.submitController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+    this.pendingSubmission = sendRequest(this.options.transport, url, init, options.timeout, this.submitController)
+      .then((response) => {
+        return readBody(response).then((data) => {
+          let outcome = { response, data };
+
+          if (response.status >= 200 && response.status < 300) {
+            dispatch('eager:submit-success', outcome);
+            return outcome;
+          }
+
+          // Validation errors, e.g: { message: '...', errors: { email: ['Taken'] } }
+          if (response.status === 422 && data && typeof data.errors === 'object') {
+            this.setErrors(data.errors);
+          }
+
+          dispatch('eager:submit-error', { ...outcome, error: null });
+          return outcome;
+        });
+      })
+      .catch((error) => {
+        let outcome = { response: null, data: null, error };
+
+        // Torn down
+        if (!error || error.name !== 'AbortError') {
+          dispatch('eager:submit-error', outcome);
+        }
+
+        return outcome;
+      })
+      .finally(() => {
+        this.setBusy(button, false);
+        this.pendingSubmission = null;
+        this.submitController = null;
+      });
+
+    return this.pendingSubmission;
+  }
+
+  /**
+   * Get the entries of the form with the normalized values, the way they're validated (see getValue())
+   *
+   * @param  {HTMLElement|null} submitter
+   *
+   * @return {Array} e.g: [['email', 'john@example.com'], ['avatar', File]]
+   */
+  getFormEntries(submitter = null) {
+    let values = {};
+
+    Array.prototype.forEach.call(this.form.elements, (element) => {
+      let sent = element.name
+        && this.isNormalizable(element)
+        && !element.matches(':disabled')
+        && !['submit', 'button', 'reset', 'image'].includes(element.type);
+
+      if (sent) {
+        values[element.name] = (values[element.name] || []).concat(this.getValue(element));
+      }
+    });
+
+    // FormData lists the fields in tree order, like form.elements does
+    return formEntries(this.form, submitter).map(([key, value]) => {
+      return typeof value === 'string' && values[key] && values[key].length ? [key, values[key].shift()] : [key, value];
+    });
+  }
+
+  /**
+   * Toggle the busy state of a submit button, it's disabled while busy and gets its own disabled state back after
+   *
+   * @param  {HTMLElement|null} button
+   * @param  {Boolean} busy
+   *
+   * @return void
+   */
+  setBusy(button, busy) {
+    if (!button) {
+      return;
+    }
+
+    button.classList.toggle(this.options.classes.busy, busy);
+
+    if (busy) {
+      if (!this.busyButtons.has(button)) {
+        this.busyButtons.set(button, button.hasAttribute('disabled'));
+      }
+
+      button.setAttribute('aria-busy', 'true');
+      button.setAttribute('disabled', 'disabled');
+    } else {
+      button.removeAttribute('aria-busy');
+
+      if (!this.busyButtons.get(button)) {
+        button.removeAttribute('disabled');
+      }
+
+      this.busyButtons.delete(button);
+    }
+  }
+
+  /**
+   * Submit the form again once it's validated, using the original submitter when possible
+   *
+   * @param  {HTMLElement|null} submitter
+   *
+   * @return void
+   */
+  resubmit(submitter = null) {
+    this.isSubmitting = true;
+
+    // requestSubmit() keeps the submitter's name/value and fires the submit event for other listeners
+    if (typeof this.form.requestSubmit === 'function') {
+      this.form.requestSubmit(submitter || undefined);
+      return;
+    }
+
+    // form.submit() doesn't fire a submit event, so there is nothing to let through
+    this.isSubmitting = false;
+    this.form.submit();
+  }
+
+  /**
+   * Enable the submit button
+   *
+   * @return void
+   */
+  enableSubmit() {
+    // Forms may not have a submit button at all
+    if (!this.submitBtn) {
+      return;
+    }
+
+    this.submitBtn.removeAttribute('disabled');
+    this.submitBtn.classList.remove(this.options.classes.disabled);
+  }
+
+  /**
+   * Disable the submit button
+   *
+   * @return void
+   */
+  disableSubmit() {
+    if (!this.submitBtn) {
+      return;
+    }
+
+    this.submitBtn.setAttribute('disabled', 'disabled');
+    this.submitBtn.classList.add(this.options.classes.disabled);
+  }
+
+  /**
+   * Handles form reset
+   *
+   * @param  {Object} event
+   *
+   * @return void
+   */
+  handleReset(event) {
+    this.restoreState();
+  }
+
+  /**
+   * Focuses a given input element
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return void
+   */
+  hightlightErrors(element) {
+    // Already focusing
+    if (this.isFocusing) {
+      return;
+    }
+
+    if (this.options.autoScroll) {
+      // Set state
+      this.isFocusing = true;
+
+      window.scrollTo({
+        top: Math.round(element.getBoundingClientRect().top)
+          + Math.round(window.scrollY)
+          + -this.options.offsetFocus,
+        behavior: 'smooth'
+      });
+
+      setTimeout(() => {
+        this.isFocusing = false;
+      }, 500);
+    }
+
+    if (this.options.focusFirstError) {
+      element.focus();
+    }
+  }
+
+  /**
+   * Fires an event after the validate() method is finished
+   *
+   * The detail summarizes the form: whether it's valid, the results keyed by the field name (see validate()),
+   * and the names of the invalid fields
+   *
+   * @param  {Object} result  What validate() resolved with
+   *
+   * @return void
+   */
+  complete(result = { valid: true, fields: {} }) {
+    let invalid = Object.keys(result.fields).filter(name => !result.fields[name].valid);
+
+    this.form.dispatchEvent(new CustomEvent('eager:done', {
+      bubbles: true,
+      detail: { valid: result.valid, fields: result.fields, invalid }
+    }));
+  }
+
+  /**
+   * Get the first error element (ignores elements that contain novalidate attribute)
+   *
+   * The latest validation result of an element decides (see validateField()), the native validity of its normalized
+   * value otherwise, so it agrees with validate() when normalizers are enabled.
+   *
+   * @param  {HTMLElement} container  Look inside this element only, defaults to the form
+   *
+   * @return {HTMLFormElement} Returns the very first invalid element's object if found else null
+   */
+  getFirstError(container = null) {
+    let elements = (container || this.form).querySelectorAll('input,select,textarea');
+
+    let element = Array.prototype.find.call(elements, (element) => {
+      // Ignore if explicitly told
+      // meaning, the novalidate attribute exists, and it's value is not false
+      // any other value (even empty no value) will be treated as true
+      if (element.hasAttribute('novalidate') && element.getAttribute('novalidate') !== 'false') {
+        return false;
+      }
+
+      // Ignore element without name unless told otherwise
+      if (!this.options.validateWithoutName && !element.getAttribute('name')) {
+        return false;
+      }
+
+      if (this.results.has(element)) {
+        return !this.results.get(element).valid;
+      }
+
+      return element.willValidate && !this.getValidity(element).valid;
+    });
+
+    return element || null;
+  }
+
+  /**
+   * Checks if form is valid or not by checking if at least one invalid element is present
+   *
+   * @return {Boolean}
+   */
+  isValid() {
+    return this.getFirstError() == null;
+  }
+
+  /**
+   * Write the normalized value back to the field once it loses focus
+   *
+   * @param  {FocusEvent} event
+   *
+   * @return void
+   */
+  handleBlur(event) {
+    let element = event.target;
+
+    if (!this.isNormalizable(element)) {
+      return;
+    }
+
+    let value = this.getValue(element);
+
+    if (value !== element.value) {
+      element.value = value;
+    }
+  }
+
+  /**
+   * Handles the form/input change, blur or any kind of events that is registered
+   *
+   * The validation is skipped when the eager:before-validate event is cancelled.
+   *
+   * @param  {Event|KeyboardEvent|MouseEvent|CustomEvent} event
+   *
+   * @return void
+   */
+  handleInput(event) {
+    let cancelled = !event.target.dispatchEvent(new CustomEvent('eager:before-validate', {
+      bubbles: true,
+      cancelable: true,
+      detail: { field: event.target, name: event.target.getAttribute('name'), trigger: event.type }
+    }));
+
+    if (cancelled) {
+      return;
+    }
+
+    // Don't validate on intial tabbed switch (if enabled)
+    if (this.options.noTriggerOnTab && event.key && event.key === 'Tab') {
+      return;
+    }
+
+    // Errors from the server are gone once the field is edited
+    if (['input', 'change'].includes(event.type)) {
+      this.clearServerError(event.target);
+    }
+
+    // On a form change, enable the submit button back
+    if (event.type === 'change' && this.options.disableSubmit) {
+      if (this.isValid()) {
+        this.enableSubmit();
+      }
+    }
+
+    this.scheduleValidation(event.target, event.type);
+
+    // Fields that depend on this one may have changed their mind
+    this.revalidateDependents(event.target, event.type);
+  }
+
+  /**
+   * Validate an element after its debounce/delay for an event type, see the `debounce` and `delay` options
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {String} type  The event type, e.g: input
+   *
+   * @return void
+   */
+  scheduleValidation(element, type) {
+    // Nobody awaits the validation, so a failure (e.g: malformed markup) is reported instead
+    let callback = (target) => {
+      this.validateField(target).catch((error) => {
+        this.reportError(error, target);
+      });
+    };
+    // Debounce attribute
+    let debounceAttribute = `data-${EagerForm.RULE_PREFIX}-debounce`;
+    // event specific debounce attribute
+    let specificDebounceAttribute = `data-${EagerForm.RULE_PREFIX}-${type}-debounce`;
+    // Zero by default
+    let bounce = 0;
+
+    // First check for event specific attribute
+    if (this.hasAttribute(element, specificDebounceAttribute)) {
+      bounce = parseInt(this.getAttribute(element, specificDebounceAttribute));
+    } else if (this.hasAttribute(element, debounceAttribute)) {
+      bounce = parseInt(this.getAttribute(element, debounceAttribute));
+    } else if (this.options.debounce[type]) {
+      // Fall back to global debounce values, if defined
+      bounce = this.options.debounce[type];
+    }
+
+    if (bounce > 0) {
+      // Reuse the debounced validator of the element, so the calls are actually debounced
+      let debouncers = this.debouncers.get(element) || {};
+      let key = `${type}:${bounce}`;
+
+      if (!debouncers[key]) {
+        debouncers[key] = debounce(callback, bounce);
+        this.debouncers.set(element, debouncers);
+      }
+
+      callback = debouncers[key];
+    }
+
+    let delayAttribute = `data-${EagerForm.RULE_PREFIX}-delay`;
+
+    // event specific delay attribute
+    let specificDelayAttribute = `data-${EagerForm.RULE_PREFIX}-${type}-delay`;
+
+    let delay = 0;
+
+    // First check for event specific attribute
+    if (this.hasAttribute(element, specificDelayAttribute)) {
+      delay = parseInt(this.getAttribute(element, specificDelayAttribute));
+    } else if (this.hasAttribute(element, delayAttribute)) {
+      delay = parseInt(this.getAttribute(element, delayAttribute));
+    } else if (this.options.delay[type]) {
+      // Fallback to global delay values, if defined
+      delay = this.options.delay[type];
+    }
+
+    if (delay > 0) {
+      let timers = this.intervals.get(element) || {};
+
+      // clear any old delays first
+      clearTimeout(timers[type]);
+
+      timers[type] = setTimeout(() => {
+        callback(element);
+      }, delay);
+
+      this.intervals.set(element, timers);
+    } else {
+      callback(element);
+    }
+  }
+
+  /**
+   * Validates a field
+   *
+   * Resolves once the native constraints and every custom rule of the field have settled, with a result object:
+   *
+   * @property {HTMLFormElement} element   =>   The validated element
+   * @property {String}          name      =>   Name of the element
+   * @property {Boolean}         valid     =>   Whether the element passed every rule or not
+   * @property {Array}           validity  =>   The failing ValidityState keys
+   * @property {Array}           rules     =>   The failing custom rule names
+   * @property {Array}           messages  =>   The error messages
+   *
+   * Resolves with null if the element is not validated at all. Rejects if the markup of the field is malformed,
+   * e.g: a rule parameter that can't be parsed.
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {Promise<Object|null>}
+   */
+  validateField(element) {
+    try {
+      return this.runValidation(element);
+    } catch (error) {
+      // Tracked like any failed validation, so eager:after-validate is dispatched
+      return this.trackValidation(element, Promise.reject(error));
+    }
+  }
+
+  /**
+   * Run the validation of a field, see validateField()
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {Promise<Object|null>}
+   */
+  runValidation(element) {
+    // Make sure the element is supported by HTML5 constraints
+    // Also skip any button, submit or reset elements
+    if (!element.checkValidity || ['button', 'submit', 'reset'].includes(element.type)) {
+      return Promise.resolve(null);
+    }
+
+    // Ignore if explicitly told
+    // meaning, the novalidate attribute exists, and it's value is not false
+    // any other value (even empty no value) will be treated as true
+    if (this.hasAttribute(element, 'novalidate') && this.getAttribute(element, 'novalidate') !== 'false') {
+      return Promise.resolve(null);
+    }
+
+    // Ignore element without name unless told otherwise
+    if (!this.options.validateWithoutName && !element.getAttribute('name')) {
+      return Promise.resolve(null);
+    }
+
+    // The server has the last word until the field is edited
+    if (this.serverErrors.has(element)) {
+      return this.trackValidation(element, Promise.resolve(this.serverErrors.get(element)));
+    }
+
+    let prefix = `data-${EagerForm.RULE_PREFIX}-`;
+
+    // The whole field is validated only when the condition is met
+    if (this.hasAttribute(element, `${prefix}when`)
+      && !this.evaluateCondition(element, this.getAttribute(element, `${prefix}when`))) {
+      this.abortRemote(element);
+      element.setCustomValidity('');
+      this.ruleErrors.delete(element);
+      this.clearValidation(element);
+      this.storeResult(element, null);
+
+      return this.trackValidation(element, Promise.resolve(null));
+    }
+
+    // Switch the native required constraint based on the condition
+    if (this.hasAttribute(element, `${prefix}required-if`)) {
+      element.required = this.evaluateCondition(element, this.getAttribute(element, `${prefix}required-if`));
+    }
+
+    let result = {
+      element,
+      name: element.getAttribute('name') || element.id,
+      valid: true,
+      validity: [],
+      rules: [],
+      messages: []
+    };
+
+    // Determiner for default native error
+    let hasDefaultError, hasCustomError = false;
+
+    // run HTML5 validation first, against the normalized value
+    let validity = this.getValidity(element);
+
+    // We will deal with it later
+    hasCustomError = element.validity.customError;
+
+    if (!validity.valid) {
+      for (let key in validity) {
+        if (key !== 'customError' && key !== 'valid' && validity[key] === true) {
+          hasDefaultError = true;
+
+          result.validity.push(key);
+          result.messages.push(this.getMessage(element, key));
+        }
+      }
+    }
+
+    // HTML5 native validation failed, return
+    if (hasDefaultError) {
+      result.valid = false;
+      this.renderErrors(element, result.messages);
+      this.storeResult(element, result);
+
+      // Outdated by now
+      this.abortRemote(element);
+
+      return this.trackValidation(element, Promise.resolve(result));
+    } else if (!hasCustomError) {
+      // clear the native errors, but don't return  yet, we still need to run custom rules
+      this.clearError(element);
+    }
+
+    let validations = [];
+
+    // Validate custom rules, in the order of getRuleQueue()
+    this.getRuleQueue(element).forEach((key) => {
+      let attribute = `data-${EagerForm.RULE_PREFIX}-${key}`;
+      let rule = this.rules[key];
+      // Group rules may be set on the group instead of the element itself
+      let host = rule.group ? this.getGroupHost(element, attribute) : element;
+
+      // Check if the attribute is present
+      if (!host || !this.hasAttribute(host, attribute)) {
+        return;
+      }
+
+      // Conditional rule
+      if (this.hasAttribute(host, `${attribute}-when`)
+        && !this.evaluateCondition(element, this.getAttribute(host, `${attribute}-when`))) {
+        return;
+      }
+
+      // Parsed now, so malformed attributes throw right away
+      let params = this.getRuleParams(element, key, host);
+
+      // Started later, see below
+      let start = () => rule
+        .call(this, element, attribute, params)
+        .then(() => null)
+        .catch((err) => {
+          let msg = '';
+          let verbatim = false;
+          // Check if we have a dedicated error message attribute
+          if (this.hasAttribute(host, `${attribute}-error`)) {
+            msg = this.getAttribute(host, `${attribute}-error`);
+          } else if (this.hasAttribute(element, `data-${EagerForm.RULE_PREFIX}-error`)) {
+            // Or a global error attribute
+            msg = this.getAttribute(element, `data-${EagerForm.RULE_PREFIX}-error`);
+          } else if (err && err.message !== undefined) {
+            // Rejected with a message and its placeholder values, e.g: { message: '...', params: { other: '...' } }
+            // or with a message to show as it is, e.g: { message: 'From the server', verbatim: true }
+            msg = err.message;
+            verbatim = err.verbatim === true;
+          } else if (err && err.toString().length) {
+            msg = err;
+          }
+
+          let params = err && err.params ? err.params : {};
+
+          return {
+            rule: key,
+            message: verbatim ? msg.toString() : this.formatFieldMessage(element, msg.toString(), params)
+          };
+        });
+
+      start.bail = rule.bail;
+      validations.push(start);
+    });
+
+    let bail = this.hasAttribute(element, `data-${EagerForm.RULE_PREFIX}-bail`)
+      ? this.getAttribute(element, `data-${EagerForm.RULE_PREFIX}-bail`) !== 'false'
+      : this.options.bail;
+
+    let settled;
+
+    if (bail) {
+      // Rules flagged with bail = false run anyway, next to the chain
+      let independent = validations.filter(start => start.bail === false);
+
+      // One after another, the first failure stops the rest
+      let chained = validations.filter(start => start.bail !== false).reduce((chain, start) => {
+        return chain.then((failures) => {
+          // Failed already, or a newer validation took over meanwhile
+          if (failures.length || this.pendingValidations.get(element) !== validation) {
+            return failures;
+          }
+
+          return start().then(failure => (failure ? [failure] : []));
+        });
+      }, Promise.resolve([]));
+
+      settled = Promise.all([chained, Promise.all(independent.map(start => start()))])
+        .then(([failures, others]) => failures.concat(others));
+    } else {
+      settled = Promise.all(validations.map(start => start()));
+    }
+
+    // Wait for every custom rule to settle, so they can't race each other
+    let validation = settled.then((failures) => {
+      // The field was validated again meanwhile, the newer validation decides the outcome
+      if (this.pendingValidations.get(element) !== validation) {
+        return this.pendingValidations.get(element);
+      }
+
+      failures = failures.filter(failure => failure !== null);
+
+      if (failures.length) {
+        element.setCustomValidity(failures[0].message);
+        this.ruleErrors.add(element);
+
+        // report the custom errors
+        this.renderErrors(element, failures.map(failure => failure.message));
+      } else if (validations.length || this.ruleErrors.has(element)) {
+        // Field is valid, clear errors, including the one of a rule that's switched off by now
+        element.setCustomValidity('');
+        this.ruleErrors.delete(element);
+        this.clearError(element);
+      } else if (hasCustomError) {
+        // A custom validity was set from the outside
+        result.validity.push('customError');
+        result.messages.push(element.validationMessage);
+      }
+
+      failures.forEach((failure) => {
+        result.rules.push(failure.rule);
+        result.messages.push(failure.message);
+      });
+
+      result.valid = !result.validity.length && !result.rules.length;
+      this.storeResult(element, result);
+
+      return result;
+    });
+
+    return this.trackValidation(element, validation);
+  }
+
+  /**
+   * Get the names of the custom rules to run on an element, in the order they run
+   *
+   * Only the rules declared on the element (or on its group) are returned. The ones listed in data-eager-rules
+   * (e.g: "min-checked|remote") run first in that order, the others follow by priority (see rule()), then in the
+   * order they're declared: attribute order, then the `fields` option.
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {Array}
+   */
+  getRuleQueue(element) {
+    let prefix = `data-${EagerForm.RULE_PREFIX}-`;
+    let listed = this.getRuleList(element).filter(name => !(name in EagerForm.normalizers));
+
+    listed.forEach((name) => {
+      if (!(name in this.rules) && !EagerForm.nativeConstraints.includes(name)) {
+        throw new Error(`The rule ${name} listed in ${prefix}rules doesn't exist.`);
+      }
+    });
+
+    let declared = Array.prototype.map.call(element.attributes, attribute => attribute.name)
+      .filter(name => name.indexOf(prefix) === 0)
+      .map(name => name.slice(prefix.length))
+      .concat(Object.keys(this.getFieldSchema(element)).map(key => key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)));
+
+    // Group rules may be declared on the first input of the group or on its container
+    for (let key in this.rules) {
+      if (this.rules[key].group && this.getGroupHost(element, `${prefix}${key}`)) {
+        declared.push(key);
+      }
+    }
+
+    let keys = declared.filter((key, index) => key in this.rules && declared.indexOf(key) === index);
+    let priority = key => this.rules[key].priority || 0;
+
+    let rest = keys
+      .filter(key => !listed.includes(key))
+      .map((key, index) => ({ key, index }))
+      .sort((a, b) => priority(a.key) - priority(b.key) || a.index - b.index)
+      .map(item => item.key);
+
+    return listed.filter(key => keys.includes(key)).concat(rest);
+  }
+
+  /**
+   * Get the typed parameters of a rule for an element, see EagerForm.rule()
+   *
+   * Callbacks without parameters get the attribute value as `value`. Parsed values are kept until the attribute
+   * changes, selectors and fields are resolved every time.
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {String} key  The name of the rule
+   * @param  {HTMLElement} host  The element holding the attributes, see getGroupHost()
+   *
+   * @return {Object}
+   */
+  getRuleParams(element, key, host = element) {
+    let rule = this.rules[key];
+    let attribute = `data-${EagerForm.RULE_PREFIX}-${key}`;
+
+    if (!rule.params) {
+      return { value: this.getAttribute(host, attribute) };
+    }
+
+    if (!this.ruleParams.has(element)) {
+      this.ruleParams.set(element, new Map());
+    }
+
+    let cache = this.ruleParams.get(element);
+    let params = {};
+
+    Object.keys(rule.params).forEach((name) => {
+      let param = rule.params[name];
+      let paramAttribute = name === 'value'
+        ? attribute
+        : `${attribute}-${name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`;
+      let raw = this.getAttribute(host, paramAttribute);
+
+      if (raw === null) {
+        if (param.required) {
+          throw new Error(`The ${paramAttribute} attribute of "${element.name || element.id}" is required.`);
+        }
+
+        params[name] = param.default;
+        return;
+      }
+
+      let cached = cache.get(paramAttribute);
+
+      if (cached && cached.raw === raw && cached.type === param.type) {
+        params[name] = cached.value;
+        return;
+      }
+
+      let value;
+
+      try {
+        value = typeof param.type === 'function'
+          ? param.type(raw, this)
+          : PARAM_TYPES[param.type](String(raw), this);
+      } catch (err) {
+        throw new Error(`The ${paramAttribute} attribute of "${element.name || element.id}" ${err.message}, got "${raw}".`);
       }
+
+      if (!LIVE_TYPES.includes(param.type)) {
+        cache.set(paramAttribute, { raw, type: param.type, value });
+      }
+
+      params[name] = value;
     });
+
+    return params;
   }
 
   /**
-   * Handles form submit
+   * Get the names listed in the data-eager-rules attribute, separated with | or ,
+   *
+   * The attribute is parsed once until it changes. A malformed one is reported with an eager:error event and
+   * lists nothing, so the rules and normalizers of the field fall back to their default order.
+   *
+   * @param  {HTMLFormElement} element
    *
-   * @param  {Event} event
+   * @return {Array}
    */
-  handleSubmit(event) {
-    this.validate();
+  getRuleList(element) {
+    let list = this.getAttribute(element, `data-${EagerForm.RULE_PREFIX}-rules`);
 
-    this.form.classList.add(this.options.classes.formValidatedClass);
+    if (typeof list !== 'string') {
+      return [];
+    }
 
-    const firstErrorElement = this.getFirstError();
+    let parsed = this.ruleLists.get(element);
 
-    if (firstErrorElement) {
-      event.preventDefault();
-      event.stopPropagation();
+    if (parsed && parsed.list === list) {
+      return parsed.names;
+    }
 
-      if (this.options.disableSubmit) {
-        this.disableSubmit();
-      }
+    let names = [];
 
-      this.hightlightErrors(firstErrorElement);
+    try {
+      // The fields option may hold an array, which is serialized as JSON
+      names = (list.charAt(0) === '[' ? JSON.parse(list) : list.split(/[|,]/))
+        .map(name => String(name).trim())
+        .filter(name => name.length);
+    } catch (err) {
+      this.reportError(new Error(`The data-${EagerForm.RULE_PREFIX}-rules attribute of "${element.name || element.id}" `
+        + `must be separated with | or , or be a JSON array, got "${list}".`), element);
     }
 
-    this.complete();
-  }
+    this.ruleLists.set(element, { list, names });
 
-  /**
-   * Enable the submit button
-   *
-   * @return void
-   */
-  enableSubmit() {
-    this.submitBtn.removeAttribute('disabled');
-    this.submitBtn.classList.remove(this.options.classes.disabled);
+    return names;
   }
 
   /**
-   * Disable the submit button
+   * Remember the latest validation of an element, its events are dispatched once it settles
    *
-   * @return void
+   * A validation that's outdated by a newer one meanwhile dispatches nothing, the newer one does. A validation
+   * that fails (e.g: a rule throwing) dispatches eager:after-validate with the error in its detail.
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {Promise<Object|null>} validation
+   *
+   * @return {Promise<Object|null>}
    */
-  disableSubmit() {
-    this.submitBtn.setAttribute('disabled', 'disabled');
-    this.submitBtn.classList.add(this.options.classes.disabled);
+  trackValidation(element, validation) {
+    this.pendingValidations.set(element, validation);
+
+    validation.then((result) => {
+      if (result && this.pendingValidations.get(element) === validation) {
+        this.dispatchFieldEvents(result);
+      }
+    }, (error) => {
+      if (this.pendingValidations.get(element) !== validation) {
+        return;
+      }
+
+      element.dispatchEvent(new CustomEvent('eager:after-validate', {
+        bubbles: true,
+        detail: {
+          field: element,
+          name: element.getAttribute('name') || element.id,
+          valid: false,
+          validity: {},
+          rule: null,
+          message: null,
+          result: null,
+          error
+        }
+      }));
+    });
+
+    return validation;
   }
 
   /**
-   * Handles form reset
+   * Dispatch the eager:after-validate event of a validation result, followed by eager:valid or eager:invalid
    *
-   * @param  {Object} event
+   * The detail holds the field, its name, whether it's valid, the validity flags, the first failing rule and
+   * message, and the whole result (see validateField())
+   *
+   * @param  {Object} result
    *
    * @return void
    */
-  handleReset(event) {
-    this.restoreState();
+  dispatchFieldEvents(result) {
+    let element = result.element;
+    let validity = {};
+
+    for (let key in element.validity) {
+      if (key !== 'valid') {
+        validity[key] = result.validity.includes(key) || (key === 'customError' && result.rules.length > 0);
+      }
+    }
+
+    let detail = {
+      field: element,
+      name: result.name,
+      valid: result.valid,
+      validity,
+      rule: result.rules.length ? result.rules[0] : null,
+      message: result.messages.length ? result.messages[0] : null,
+      result,
+      error: null
+    };
+
+    element.dispatchEvent(new CustomEvent('eager:after-validate', { bubbles: true, detail }));
+    element.dispatchEvent(new CustomEvent(result.valid ? 'eager:valid' : 'eager:invalid', { bubbles: true, detail }));
   }
 
   /**
-   * Focuses a given input element
+   * Store the latest validation result of an element, keeps the error summary up to date
    *
    * @param  {HTMLFormElement} element
+   * @param  {Object|null} result  Null to forget the element
    *
    * @return void
    */
-  hightlightErrors(element) {
-    // Already focusing
-    if (this.isFocusing) {
-      return;
+  storeResult(element, result) {
+    if (result) {
+      this.results.set(element, result);
+    } else {
+      this.results.delete(element);
     }
 
-    if (this.options.autoScroll) {
-      // Set state
-      this.isFocusing = true;
-
-      window.scrollTo({
-        top: Math.round(element.getBoundingClientRect().top)
-          + Math.round(window.scrollY)
-          + -this.options.offsetFocus,
-        behavior: 'smooth'
-      });
+    // Disabled by a failed submission, enable the submit button back once every error is fixed
+    let disabled = this.submitBtn && this.submitBtn.classList.contains(this.options.classes.disabled);
 
-      setTimeout(() => {
-        this.isFocusing = false;
-      }, 500);
+    if (this.options.disableSubmit && disabled && !this.pendingSubmission && (!result || result.valid)
+      && this.isValid()) {
+      this.enableSubmit();
     }
 
-    if (this.options.focusFirstError) {
-      element.focus();
+    if (this.summaryActive) {
+      this.renderErrorSummary();
     }
   }
 
   /**
-   * Fires an event after the validate() method is finished
+   * Get the error summary container, creates it at the top of the form when the `errorSummary` option is true
    *
-   * @return void
+   * @return {HTMLElement|null}
    */
-  complete() {
-    this.form.dispatchEvent(new Event('eager:done', { bubbles: true }));
+  getErrorSummary() {
+    let option = this.options.errorSummary;
+
+    if (!option) {
+      return null;
+    }
+
+    if (this.summaryElement && this.summaryElement.isConnected) {
+      return this.summaryElement;
+    }
+
+    if (typeof option === 'object') {
+      this.summaryElement = option;
+    } else if (typeof option === 'string') {
+      this.summaryElement = this.form.querySelector(option) || document.querySelector(option);
+    } else {
+      this.summaryElement = document.createElement('div');
+      this.form.insertAdjacentElement('afterbegin', this.summaryElement);
+    }
+
+    if (this.summaryElement) {
+      this.summaryElement.classList.add(this.options.classes.errorSummaryClass);
+      this.summaryElement.setAttribute('tabindex', '-1');
+    }
+
+    return this.summaryElement;
   }
 
   /**
-   * Get the first error element (ignores elements that contain novalidate attribute)
+   * Render every current error message in the error summary, each one linking to its field
    *
-   * @return {HTMLFormElement} Returns the very first invalid element's object if found else null
+   * Once rendered on a failed submit, the summary is updated live as the fields are validated again.
+   *
+   * @param  {Boolean} activate  Whether to start updating it live
+   *
+   * @return {HTMLElement|null} The summary element if it's visible
    */
-  getFirstError() {
-    // Hotfix for fieldset elements
-    let element = this.form.querySelector('input:invalid,select:invalid,textarea:invalid');
+  renderErrorSummary(activate = false) {
+    let summary = this.getErrorSummary();
 
-    if (!element) {
+    if (!summary) {
       return null;
     }
 
-    // Ignore if explicitly told
-    // meaning, the novalidate attribute exists, and it's value is not false
-    // any other value (even empty no value) will be treated as true
-    if (element.hasAttribute('novalidate') && element.getAttribute('novalidate') !== 'false') {
-      return null;
+    if (activate) {
+      this.summaryActive = true;
     }
 
-    // Ignore element without name unless told otherwise
-    if (!this.options.validateWithoutName && !element.getAttribute('name')) {
+    // Invalid fields in the DOM order, once per name so radios and checkboxes are listed once
+    let names = [];
+    let errors = [];
+
+    Array.from(this.results.values())
+      .filter(result => !result.valid)
+      .sort((a, b) => {
+        return a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+      })
+      .forEach((result) => {
+        if (names.includes(result.name)) {
+          return;
+        }
+
+        names.push(result.name);
+        this.selectMessages(result.messages).forEach((message) => {
+          errors.push({ element: result.element, message });
+        });
+      });
+
+    if (!errors.length) {
+      this.hideErrorSummary();
       return null;
     }
 
-    return element;
+    let titleId = `${this.getFormId()}-error-summary-title`;
+    let title = document.createElement('h2');
+    title.id = titleId;
+    title.className = this.options.classes.errorSummaryTitleClass;
+    title.textContent = this.formatMessage(this.translate('errorSummaryTitle'), { count: errors.length });
+
+    let list = document.createElement('ul');
+    list.className = this.options.classes.errorSummaryListClass;
+
+    errors.forEach((error) => {
+      let item = document.createElement('li');
+      let link = document.createElement('a');
+
+      link.href = error.element.id ? `#${error.element.id}` : '#';
+      link.textContent = error.message;
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        error.element.scrollIntoView({ block: 'center' });
+        error.element.focus();
+      });
+
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    summary.innerHTML = '';
+    summary.appendChild(title);
+    summary.appendChild(list);
+    summary.setAttribute('aria-labelledby', titleId);
+    summary.hidden = false;
+
+    return summary;
   }
 
   /**
-   * Checks if form is valid or not by checking if at least one invalid element is present
+   * Hide the error summary and stop updating it
    *
-   * @return {Boolean}
+   * @return void
    */
-  isValid() {
-    return this.getFirstError() == null;
+  hideErrorSummary() {
+    this.summaryActive = false;
+
+    if (this.summaryElement) {
+      this.summaryElement.hidden = true;
+      this.summaryElement.innerHTML = '';
+    }
   }
 
   /**
-   * Handles the form/input change, blur or any kind of events that is registered
+   * Get an id for the form to derive the generated ids from
    *
-   * @param  {Event|KeyboardEvent|MouseEvent|CustomEvent} event
+   * The id of the form, or one generated for the instance. The form itself is left untouched.
    *
-   * @return void
+   * @return {String}
    */
-  handleInput(event) {
-    let cancelled = !event.target.dispatchEvent(new Event('eager:before-validate', { bubbles: true }));
+  getFormId() {
+    if (this.form.id) {
+      return this.form.id;
+    }
 
-    if (cancelled) {
-      return;
+    if (!this.idPrefix) {
+      EagerForm.formCount++;
+      this.idPrefix = `eager-form-${EagerForm.formCount}`;
     }
 
-    // Don't validate on intial tabbed switch (if enabled)
-    if (this.options.noTriggerOnTab && event.key && event.key === 'Tab') {
+    return this.idPrefix;
+  }
+
+  /**
+   * Abort the pending remote request of an element, if any, and reset its busy state
+   *
+   * The aborted request settles later on and no longer owns the busy state, so it's reset here
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return void
+   */
+  abortRemote(element) {
+    if (!this.remoteRequests.has(element)) {
       return;
     }
 
-    // On a form change, enable the submit button back
-    if (event.type === 'change' && this.options.disableSubmit) {
-      if (this.isValid()) {
-        this.enableSubmit();
-      }
+    let controller = this.remoteRequests.get(element);
+
+    if (controller) {
+      controller.abort();
     }
 
-    // Bind this to callback
-    let callback = this.validateField.bind(this);
-    // Debounce attribute
-    let debounceAttribute = `data-${EagerForm.RULE_PREFIX}-debounce`;
-    // event specific debounce attribute
-    let specificDebounceAttribute = `data-${EagerForm.RULE_PREFIX}-${event.type}-debounce`;
-    // Zero by default
-    let bounce = 0;
+    this.remoteRequests.delete(element);
 
-    // First check for event specific attribute
-    if (event.target.hasAttribute(specificDebounceAttribute)) {
-      bounce = parseInt(event.target.getAttribute(specificDebounceAttribute));
-    } else if (event.target.hasAttribute(debounceAttribute)) {
-      bounce = parseInt(event.target.getAttribute(debounceAttribute));
-    } else if (this.options.debounce[event.type]) {
-      // Fall back to global debounce values, if defined
-      bounce = this.options.debounce[event.type];
-    }
+    let parent = this.findParent(element);
 
-    if (bounce > 0) {
-      callback = debounce(callback, bounce);
+    if (parent) {
+      parent.setAttribute(`data-${EagerForm.RULE_PREFIX}-remote-busy`, 'false');
     }
+  }
 
-    let delayAttribute = `data-${EagerForm.RULE_PREFIX}-delay`;
+  /**
+   * Set error status and messages to a field
+   *
+   * @param {HTMLFormElement} element
+   * @param {String} validityType The validity type from ValidityState
+   *
+   * @return void
+   */
+  setError(element, validityType) {
+    this.renderErrors(element, [this.getMessage(element, validityType)]);
+  }
 
-    // event specific delay attribute
-    let specificDelayAttribute = `data-${EagerForm.RULE_PREFIX}-${event.type}-delay`;
+  /**
+   * Show the error messages of a field, picked by the `messages` option
+   *
+   * @param {HTMLFormElement} element
+   * @param {Array} messages  Every failing message of the field
+   *
+   * @return void
+   */
+  renderErrors(element, messages) {
+    let shown = this.selectMessages(messages);
+    let feedBackElement = this.renderer.renderError.call(this, element, shown[0] || '', shown);
 
-    let delay = 0;
+    // Link the feedback messages to the element
+    this.setAriaState(element, true, feedBackElement || null);
+  }
 
-    // First check for event specific attribute
-    if (event.target.hasAttribute(specificDelayAttribute)) {
-      delay = parseInt(event.target.getAttribute(specificDelayAttribute));
-    } else if (event.target.hasAttribute(delayAttribute)) {
-      delay = parseInt(event.target.getAttribute(delayAttribute));
-    } else if (this.options.delay[event.type]) {
-      // Fallback to global delay values, if defined
-      delay = this.options.delay[event.type];
+  /**
+   * Pick the messages to show out of the failing ones, see the `messages` option
+   *
+   * @param  {Array} messages
+   *
+   * @return {Array}
+   */
+  selectMessages(messages) {
+    if (this.options.messages === 'all') {
+      return messages.slice();
     }
 
-    if (delay > 0) {
-      // clear any old delays first
-      clearTimeout(this.intervals[event.type]);
+    if (this.options.messages === 'last') {
+      return messages.slice(-1);
+    }
 
-      this.intervals[event.type] = setTimeout(() => {
-        callback(event.target);
-      }, delay);
-    } else {
-      callback(event.target);
+    return messages.slice(0, 1);
+  }
+
+  /**
+   * Get the renderer of the `renderer` option, the default one fills in its missing methods
+   *
+   * @return {Object}
+   */
+  getRenderer() {
+    let renderer = this.options.renderer || 'default';
+
+    if (typeof renderer === 'string') {
+      if (!EagerForm.renderers[renderer]) {
+        throw new Error(`The renderer ${renderer} doesn't exist.`);
+      }
+
+      renderer = EagerForm.renderers[renderer];
     }
 
-    event.target.dispatchEvent(new Event('eager:after-validate', { bubbles: true }));
+    return { ...EagerForm.renderers.default, ...renderer };
   }
 
   /**
-   * Validates a field
+   * Get the deterministic id of the feedback element of an element, radios and checkboxes share it by name
    *
    * @param  {HTMLFormElement} element
    *
-   * @return void
+   * @return {String}
    */
-  validateField(element) {
-    // Make sure the element is supported by HTML5 constraints
-    // Also skip any button, submit or reset elements
-    if (!element.checkValidity || ['button', 'submit', 'reset'].includes(element.type)) {
-      return;
-    }
+  getFeedbackId(element) {
+    let key = ['radio', 'checkbox'].includes(element.type) && element.name
+      ? element.name
+      : element.id || element.name;
 
-    // Ignore if explicitly told
-    // meaning, the novalidate attribute exists, and it's value is not false
-    // any other value (even empty no value) will be treated as true
-    if (element.hasAttribute('novalidate') && element.getAttribute('novalidate') !== 'false') {
-      return;
-    }
+    return `${this.getFormId()}-${key}-feedback`.replace(/[^\w-]+/g, '-');
+  }
 
-    // Ignore element without name unless told otherwise
-    if (!this.options.validateWithoutName && !element.getAttribute('name')) {
-      return;
+  /**
+   * Find the group element (fieldset or role="group"/"radiogroup") holding every radio/checkbox of a name
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {HTMLElement|null}
+   */
+  findGroup(element) {
+    if (!['radio', 'checkbox'].includes(element.type) || !element.name) {
+      return null;
     }
 
-    // Determiner for default native error
-    let hasDefaultError, hasCustomError = false;
+    let selectors = ['fieldset', '[role="group"]', '[role="radiogroup"]'];
 
-    // run HTML5 validation first
-    if (element.checkValidity) {
-      if (!element.checkValidity()) {
-        for (let key in element.validity) {
-          // We will deal with it later
-          if (key === 'customError') {
-            hasCustomError = true;
-            continue;
-          }
-          if (element.validity[key] === true) {
-            this.setError(element, key);
-            hasDefaultError = true;
-          }
-        }
+    // Elements holding group rules, e.g: <div data-eager-min-checked="2">
+    for (let key in this.rules) {
+      if (this.rules[key].group) {
+        selectors.push(`[data-${EagerForm.RULE_PREFIX}-${key}]`);
       }
     }
 
-    // HTML5 native validation failed, return
-    if (hasDefaultError) {
-      return;
-    } else if (!hasCustomError) {
-      // clear the native errors, but don't return  yet, we still need to run custom rules
-      this.clearError(element);
+    let group = element.parentNode ? element.parentNode.closest(selectors.join(', ')) : null;
+    let siblings = this.getFieldElements(this.getNamedField(element.name));
+
+    if (group && this.form.contains(group) && siblings.every(sibling => group.contains(sibling))) {
+      return group;
     }
 
-    // Validate custom rules
-    for (let key in EagerForm.rules) {
-      let attribute = `data-${EagerForm.RULE_PREFIX}-${key}`;
-      // Check if the attribute is present
-      if (!element.hasAttribute(attribute)) {
-        continue;
-      }
+    return null;
+  }
 
-      let rule = EagerForm.rules[key];
+  /**
+   * Find the element holding the attribute of a group rule
+   *
+   * Either the element itself, the first input of its name or the closest ancestor in the form having it
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {String} attribute
+   *
+   * @return {HTMLElement|null}
+   */
+  getGroupHost(element, attribute) {
+    if (this.hasAttribute(element, attribute)) {
+      return element;
+    }
 
-      rule
-        .bind(this, element, attribute)()
-        .then(() => {
-          // Field is valid, clear errors and return status
-          element.setCustomValidity('');
-          this.clearError(element);
-        })
-        .catch((err) => {
-          let msg = '';
-          // Check if we have a dedicated error message attribute
-          if (element.hasAttribute(`${attribute}-error`)) {
-            msg = element.getAttribute(`${attribute}-error`);
-          } else if (element.hasAttribute(`data-${EagerForm.RULE_PREFIX}-error`)) {
-            // Or a global error attribute
-            msg = element.getAttribute(`data-${EagerForm.RULE_PREFIX}-error`);
-          } else if (err && err.toString().length) {
-            msg = err;
-          }
+    if (!['radio', 'checkbox'].includes(element.type) || !element.name) {
+      return null;
+    }
 
-          element.setCustomValidity(msg);
+    let first = this.getFieldElements(this.getNamedField(element.name))[0];
 
-          // report the custom error
-          this.setError(element, 'customError');
-        });
+    if (first && first !== element && this.hasAttribute(first, attribute)) {
+      return first;
     }
+
+    let container = element.parentNode ? element.parentNode.closest(`[${attribute}]`) : null;
+
+    return container && this.form.contains(container) ? container : null;
   }
 
   /**
-   * Set error status and messages to a field
+   * Check if any group rule applies to an element
    *
-   * @param {HTMLFormElement} element
-   * @param {String} validityType The validity type from ValidityState
+   * @param  {HTMLFormElement} element
    *
-   * @return void
+   * @return {Boolean}
    */
-  setError(element, validityType) {
-    // Add the invalid class first
-    element.classList.add(this.options.classes.inputInvalidClass);
-    // Remove valid class
-    element.classList.remove(this.options.classes.inputValidClass);
-
-    // Find the parent element
-    let parent = this.findParent(element);
-
-    if (parent) {
-      // Parent exists, so add the invalid classe
-      parent.classList.add(this.options.classes.parentInvalidClass);
-      // Also remove the valid class from parent
-      parent.classList.remove(this.options.classes.parentValidClass);
-
-      // Set validation status to same named inputs (usually checkboxes/radios)
-      let siblings = parent.querySelectorAll(`[name="${element.getAttribute('name')}"]`);
-
-      if (siblings.length > 1) {
-        // Loop through the siblings to add appropriate classes, this is useful for checkboxes and radios
-        for (let index = 0; index < siblings.length; index++) {
-          // For each sibling, add the invalid class
-          siblings[index].classList.add(this.options.classes.inputInvalidClass);
-          // .. and remove the valid class
-          siblings[index].classList.remove(
-            this.options.classes.inputValidClass
-          );
-        }
+  hasGroupRules(element) {
+    for (let key in this.rules) {
+      if (this.rules[key].group && this.getGroupHost(element, `data-${EagerForm.RULE_PREFIX}-${key}`)) {
+        return true;
       }
     }
 
-    // Display the feedback messages
-    this.displayError(element, validityType);
+    return false;
   }
 
   /**
-   * Display error feedback for an element
+   * Find where the feedback of an element lives, the group for radios/checkboxes so it's shown once
    *
    * @param  {HTMLFormElement} element
-   * @param {String} validityType The validity type from ValidityState
+   *
+   * @return {HTMLElement|null}
+   */
+  findFeedbackContainer(element) {
+    return this.findGroup(element) || this.findParent(element);
+  }
+
+  /**
+   * Manage aria-invalid and aria-describedby of an element, or of its group for radios/checkboxes
+   *
+   * Existing aria-describedby ids (hint texts etc.) are kept, only the feedback id added here is removed.
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {Boolean|null} invalid  Null removes the state altogether
+   * @param  {HTMLElement|null} feedBackElement
    *
    * @return void
    */
-  displayError(element, validityType) {
-    let parent = this.findParent(element);
-    let errorMessage = this.getMessage(element, validityType);
+  setAriaState(element, invalid, feedBackElement = null) {
+    let elements = [element];
 
-    if (parent) {
-      let feedBackElement = parent.querySelector(this.options.invalidFeedbackSelector);
+    if (['radio', 'checkbox'].includes(element.type) && element.name) {
+      elements = this.getFieldElements(this.getNamedField(element.name));
+    }
 
-      // Already created, or manually set by the DOM, so just set the error and be done with it
-      if (feedBackElement) {
-        feedBackElement.textContent = errorMessage;
-        feedBackElement.setAttribute('aria-live', 'polite');
-        return;
+    let group = this.findGroup(element);
+    let described = group ? [group] : elements;
+
+    elements.forEach((node) => {
+      if (invalid === null) {
+        node.removeAttribute('aria-invalid');
+      } else {
+        node.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+      }
+    });
+
+    described.forEach((node) => {
+      let added = this.describedBy.get(node);
+      let tokens = (node.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && id !== added);
+
+      this.describedBy.delete(node);
+
+      if (invalid && feedBackElement && feedBackElement.id && !tokens.includes(feedBackElement.id)) {
+        tokens.push(feedBackElement.id);
+        this.describedBy.set(node, feedBackElement.id);
       }
 
-      // Not available, let's create it
-      if (!feedBackElement) {
-        let errorContainer = document.createElement(
-          this.options.invalidFeedbackName
-        );
-        errorContainer.className = this.options.classes.invalidFeedbackClass;
-        errorContainer.textContent = errorMessage;
-        errorContainer.setAttribute('aria-live', 'polite');
-        element.insertAdjacentElement(
-          this.options.invalidFeedbackPosition,
-          errorContainer
-        );
+      if (tokens.length) {
+        node.setAttribute('aria-describedby', tokens.join(' '));
+      } else {
+        node.removeAttribute('aria-describedby');
       }
-    }
+    });
   }
 
   /**
@@ -742,11 +3187,11 @@ export default class EagerForm {
     let inlineGlobal = `data-${EagerForm.RULE_PREFIX}-error`;
 
     // First check for rule specific custom error message
-    if (element.hasAttribute(inline)) {
-      msg = element.getAttribute(inline);
-    } else if (element.hasAttribute(inlineGlobal)) {
+    if (this.hasAttribute(element, inline)) {
+      msg = this.getAttribute(element, inline);
+    } else if (this.hasAttribute(element, inlineGlobal)) {
       // failed, so try to fetch from the global attribute
-      msg = element.getAttribute(inlineGlobal);
+      msg = this.getAttribute(element, inlineGlobal);
     }
 
     if (!msg) {
@@ -773,28 +3218,174 @@ export default class EagerForm {
       return element.validationMessage;
     }
 
-    let data = {
-      count: this.translateNumbers(EagerForm.unicodeStrLen(element.value.toString())),
-      maxlength: this.translateNumbers(element.getAttribute('maxlength')),
-      minlength: this.translateNumbers(element.getAttribute('minlength')),
-      step: this.translateNumbers(element.getAttribute('step'))
+    return this.formatFieldMessage(element, msg);
+  }
+
+  /**
+   * Get the placeholder values of an element for the feedback messages
+   *
+   * The values are built from the element's real constraints and are kept raw, they are formatted for the
+   * current locale when the message is rendered (see formatValue())
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {Object}
+   */
+  getMessageData(element) {
+    let number = (value) => {
+      return value !== null && value !== '' && isFinite(value) ? Number(value) : value;
+    };
+    let type = element.type.toLowerCase();
+
+    return {
+      label: this.getLabel(element),
+      value: ['number', 'range'].includes(type) ? number(this.getValue(element)) : this.getValue(element),
+      count: EagerForm.unicodeStrLen(this.getValue(element).toString()),
+      maxlength: number(element.getAttribute('maxlength')),
+      minlength: number(element.getAttribute('minlength')),
+      step: number(element.getAttribute('step')),
+      min: number(element.getAttribute('min')),
+      max: number(element.getAttribute('max')),
+      pattern: element.getAttribute('pattern'),
+      title: element.getAttribute('title')
     };
+  }
+
+  /**
+   * Get the input types to format the placeholder values of an element with, numbers are used by default
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {Object}
+   */
+  getMessageTypes(element) {
+    let type = element.type.toLowerCase();
+
+    if (!DATE_TYPES.includes(type)) {
+      return {};
+    }
+
+    return { min: type, max: type, value: type };
+  }
+
+  /**
+   * Format a message with the placeholder values of an element
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {String} message
+   * @param  {Object} params  Extra placeholder values, usually the parameters of a rule
+   *
+   * @return {String}
+   */
+  formatFieldMessage(element, message, params = {}) {
+    return this.formatMessage(
+      message,
+      { ...this.getMessageData(element), ...params },
+      this.getMessageTypes(element)
+    );
+  }
+
+  /**
+   * Format a message with the current locale, supports plural and select branches (see strtpl())
+   *
+   * @param  {String} message
+   * @param  {Object} data
+   * @param  {Object} types  Input types of the placeholders, used to format the values (see formatValue())
+   *
+   * @return {String}
+   */
+  formatMessage(message, data = {}, types = {}) {
+    return EagerForm.strtpl(message, data, this.options.locale, (value, name) => this.formatValue(value, types[name]));
+  }
+
+  /**
+   * Format a placeholder value for the current locale, using the `formats` option of the type
+   *
+   * @param  {*} value
+   * @param  {String} type  Input type of the value, or "size" for a number of bytes. Numbers are formatted as
+   *                        numbers if omitted
+   *
+   * @return {String}
+   */
+  formatValue(value, type = null) {
+    let formats = { ...EagerForm.defaultOptions.formats, ...this.options.formats };
+    let locale = this.options.locale;
+
+    if (type === 'size') {
+      if (typeof formats.size === 'function') {
+        return formats.size(value, locale);
+      }
+
+      let size = splitFileSize(value);
+
+      try {
+        return this.translateNumbers(new Intl.NumberFormat(locale, {
+          ...formats.size,
+          style: 'unit',
+          unit: size.unit
+        }).format(size.value));
+      } catch (err) {
+        // Units aren't supported, or the locale isn't
+        let number = EagerForm.intlFormat('NumberFormat', locale, formats.size).format(size.value);
+
+        return `${this.translateNumbers(number)} ${SIZE_LABELS[size.unit]}`;
+      }
+    }
+
+    if (DATE_TYPES.includes(type)) {
+      let date = parseInputValue(value, type);
+
+      if (!date) {
+        return String(value);
+      }
+
+      if (typeof formats[type] === 'function') {
+        return formats[type](date, locale);
+      }
+
+      // Intl can't format week numbers
+      if (type === 'week' && !formats.week) {
+        let week = parseWeek(value);
+        let number = EagerForm.intlFormat('NumberFormat', locale, { useGrouping: false });
+
+        return EagerForm.strtpl(this.translate('week', '{year}-W{week}'), {
+          year: this.translateNumbers(number.format(week.year)),
+          week: this.translateNumbers(number.format(week.week))
+        });
+      }
+
+      return this.translateNumbers(EagerForm.intlFormat('DateTimeFormat', locale, {
+        ...formats[type],
+        timeZone: 'UTC'
+      }).format(date));
+    }
 
+    if (typeof value === 'number' && isFinite(value)) {
+      if (typeof formats.number === 'function') {
+        return formats.number(value, locale);
+      }
 
-    switch (type) {
-      case 'number':
-      case 'range':
-        data.min = this.translateNumbers(data.min);
-        data.max = this.translateNumbers(data.max);
-        break;
-      case 'date':
-      case 'datetime-local':
-        data.min = new Date(data.min).toLocaleString(this.options.locale);
-        data.max = new Date(data.max).toLocaleString(this.options.locale);
-        break;
+      return this.translateNumbers(EagerForm.intlFormat('NumberFormat', locale, formats.number).format(value));
     }
 
-    return EagerForm.strtpl(msg, data);
+    return String(value);
+  }
+
+  /**
+   * Create an Intl formatter, falls back to English when the locale isn't supported
+   *
+   * @param  {String} formatter  Either NumberFormat or DateTimeFormat
+   * @param  {String} locale
+   * @param  {Object} options
+   *
+   * @return {Intl.NumberFormat|Intl.DateTimeFormat}
+   */
+  static intlFormat(formatter, locale, options = {}) {
+    try {
+      return new Intl[formatter](locale, options);
+    } catch (err) {
+      return new Intl[formatter]('en', options);
+    }
   }
 
   /**
@@ -822,43 +3413,8 @@ export default class EagerForm {
    * @return void
    */
   clearError(element) {
-    let parent = this.findParent(element);
-
-    element.classList.remove(this.options.classes.inputInvalidClass);
-
-    if (parent) {
-      if (this.options.showSuccessState) {
-        parent.classList.add(this.options.classes.parentValidClass);
-      }
-
-      parent.classList.remove(this.options.classes.parentInvalidClass);
-
-      let feedBackElement = parent.querySelector(this.options.invalidFeedbackSelector);
-
-      // Clear any invalid feedback
-      if (feedBackElement) {
-        feedBackElement.textContent = '';
-      }
-
-      // Clear validation status from same named inputs (usually checkboxes/radios)
-      let siblings = parent.querySelectorAll(`[name="${element.getAttribute('name')}"]`);
-
-      if (siblings.length > 1) {
-        for (let index = 0; index < siblings.length; index++) {
-          siblings[index].classList.remove(
-            this.options.classes.inputInvalidClass
-          );
-
-          if (this.options.showSuccessState) {
-            siblings[index].classList.add(this.options.classes.inputValidClass);
-          }
-        }
-      }
-    }
-
-    if (this.options.showSuccessState) {
-      element.classList.add(this.options.classes.inputValidClass);
-    }
+    this.renderer.renderValid.call(this, element);
+    this.setAriaState(element, false);
   }
 
   /**
@@ -869,30 +3425,8 @@ export default class EagerForm {
    * @return void
    */
   clearValidation(element) {
-    // Remove validation classes from the element
-    element.classList.remove(
-      this.options.classes.inputInvalidClass,
-      this.options.classes.inputValidClass
-    );
-
-    let parent = this.findParent(element);
-
-    // Make sure parent exists
-    if (parent) {
-      // Remove the validation classes
-      parent.classList.remove(
-        this.options.classes.parentInvalidClass,
-        this.options.classes.parentValidClass
-      );
-
-      // Find the feedback element
-      let feedBackElement = parent.querySelector(this.options.invalidFeedbackSelector);
-
-      // Clear any invalid feedback
-      if (feedBackElement) {
-        feedBackElement.textContent = '';
-      }
-    }
+    this.renderer.clear.call(this, element);
+    this.setAriaState(element, null);
   }
 
   /**
@@ -911,22 +3445,53 @@ export default class EagerForm {
     Array.prototype.filter.call(this.form.elements, (element) => {
       this.clearValidation(element);
     });
+
+    this.serverErrors.forEach((result, element) => {
+      element.setCustomValidity('');
+    });
+
+    this.serverErrors.clear();
+    this.results.clear();
+    this.hideErrorSummary();
   }
 
   /**
    * Destroy current EagerForm instance from the form
    *
-   * The event listeners are removed, and the EagerForm property is removed from the form
+   * The event listeners are removed, pending validations and requests are cancelled, and the EagerForm property is
+   * removed from the form
    * @param {Boolean} restore
    *
    * @return void
    */
   destroy(restore = true) {
+    this.detachEvents();
+
+    // Nothing may be rendered after this
+    new Set([
+      ...this.intervals.keys(),
+      ...this.debouncers.keys(),
+      ...this.remoteRequests.keys(),
+      ...this.pendingValidations.keys()
+    ]).forEach((element) => {
+      this.cancelPending(element);
+    });
+
     if (restore) {
       this.restoreState();
     }
 
-    this.detachEvents();
+    if (this.submitController) {
+      this.submitController.abort();
+    }
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    this.remoteCache.clear();
+
     delete this.form.EagerForm;
   }
 
@@ -953,22 +3518,231 @@ export default class EagerForm {
   }
 
   /**
-   * Translate a key
+   * Get the human readable label of an element
+   *
+   * Looked up in this order: data-eager-label attribute (or `label` in the `fields` option), aria-label,
+   * aria-labelledby, the associated <label> element, and finally the name of the element
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {String}
+   */
+  getLabel(element) {
+    let label = this.getAttribute(element, `data-${EagerForm.RULE_PREFIX}-label`)
+      || element.getAttribute('aria-label');
+
+    if (!label && element.hasAttribute('aria-labelledby')) {
+      label = element.getAttribute('aria-labelledby')
+        .split(/\s+/)
+        .map(id => document.getElementById(id))
+        .filter(node => node)
+        .map(node => node.textContent)
+        .join(' ');
+    }
+
+    if (!label && element.labels && element.labels.length) {
+      label = element.labels[0].textContent;
+    }
+
+    if (!label) {
+      label = element.getAttribute('name') || '';
+    }
+
+    // Drop the usual "required" asterisks and trailing colons
+    return label.replace(/\s+/g, ' ').replace(/[\s:*]+$/, '').trim();
+  }
+
+  /**
+   * Check if the value of an element can be normalized, checkboxes, radios, files and selects keep theirs
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {Boolean}
+   */
+  isNormalizable(element) {
+    return element.tagName === 'TEXTAREA'
+      || (element.tagName === 'INPUT' && !['checkbox', 'radio', 'file'].includes(element.type));
+  }
+
+  /**
+   * Get the value of an element the way it's validated, passed through its normalizers
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {String}
+   */
+  getValue(element) {
+    let value = element.value;
+
+    if (!this.isNormalizable(element)) {
+      return value;
+    }
+
+    // The ones listed in data-eager-rules are enabled, and applied first in that order
+    let listed = this.getRuleList(element).filter(name => name in EagerForm.normalizers);
+    let names = listed.concat(Object.keys(EagerForm.normalizers).filter(name => !listed.includes(name)));
+
+    for (let index = 0; index < names.length; index++) {
+      let name = names[index];
+      let attribute = `data-${EagerForm.RULE_PREFIX}-${name}`;
+      let enabled = this.hasAttribute(element, attribute)
+        ? this.getAttribute(element, attribute) !== 'false'
+        : listed.includes(name) || this.options.normalize.includes(name);
+
+      if (enabled) {
+        value = String(EagerForm.normalizers[name].call(this, value, element, this.getAttribute(element, attribute)));
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Get the native validity of the normalized value of an element
+   *
+   * The constraints are checked on a detached copy of the element holding the normalized value, so the field isn't
+   * changed while it's being typed in. Browsers only check the length of values typed by the user, so it's
+   * checked here for the copy. The custom validity of the element is left out of the copy.
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {ValidityState|Object}
+   */
+  getValidity(element) {
+    let value = this.getValue(element);
+
+    if (value === element.value) {
+      return element.validity;
+    }
+
+    let copy = element.cloneNode(false);
+    copy.value = value;
+
+    let validity = {};
+
+    for (let key in copy.validity) {
+      validity[key] = copy.validity[key];
+    }
+
+    let length = EagerForm.unicodeStrLen(value);
+    let maxlength = parseInt(element.getAttribute('maxlength'), 10);
+    let minlength = parseInt(element.getAttribute('minlength'), 10);
+
+    validity.tooLong = length > maxlength;
+    validity.tooShort = length > 0 && length < minlength;
+    validity.valid = !Object.keys(validity).some(key => key !== 'valid' && validity[key] === true);
+
+    return validity;
+  }
+
+  /**
+   * Get the declaration of an element from the `fields` option
+   *
+   * @param  {HTMLFormElement} element
+   *
+   * @return {Object}
+   */
+  getFieldSchema(element) {
+    let name = element.getAttribute('name');
+
+    if (!name || !this.options.fields || !this.options.fields[name]) {
+      return {};
+    }
+
+    return this.options.fields[name];
+  }
+
+  /**
+   * Check if an element has an attribute, either in the DOM or in the `fields` option
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {String} attribute
+   *
+   * @return {Boolean}
+   */
+  hasAttribute(element, attribute) {
+    return this.getAttribute(element, attribute) !== null;
+  }
+
+  /**
+   * Get an attribute of an element, falls back to the `fields` option when the element doesn't have it
+   *
+   * The prefix is dropped when looking up the `fields` option, both kebab-case and camelCase keys are supported,
+   * so `data-eager-remote-reverse` is read from `remote-reverse` or `remoteReverse`. Error message attributes
+   * (`data-eager-<key>-error` and `data-eager-error`) are read from the `messages` object of the field.
+   *
+   * @param  {HTMLFormElement} element
+   * @param  {String} attribute
+   *
+   * @return {String|Function|null} Functions are only returned from the `fields` option
+   */
+  getAttribute(element, attribute) {
+    if (element.hasAttribute(attribute)) {
+      return element.getAttribute(attribute);
+    }
+
+    let schema = this.getFieldSchema(element);
+    let prefix = `data-${EagerForm.RULE_PREFIX}-`;
+    let key = attribute.indexOf(prefix) === 0 ? attribute.slice(prefix.length) : attribute;
+    let camelCase = (str) => str.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    let value;
+
+    // Error messages live in their own object
+    if (key === 'error' || /-error$/.test(key)) {
+      let messages = schema.messages || {};
+      let messageKey = key === 'error' ? key : key.slice(0, -6);
+
+      value = messageKey in messages ? messages[messageKey] : messages[camelCase(messageKey)];
+    } else {
+      value = key in schema ? schema[key] : schema[camelCase(key)];
+    }
+
+    if (value === undefined || value === null || value === false) {
+      return null;
+    }
+
+    // JS predicates, e.g: { when: (element, form) => ... }
+    if (typeof value === 'function') {
+      return value;
+    }
+
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+
+    return value.toString();
+  }
+
+  /**
+   * Translate a key, walking the locale chain until a message is found (see getLocaleChain())
    *
    * @param  {String} key
    * @param  {String|Object} fallback
    * @return {String}
    */
   translate(key, fallback = null) {
-    if (EagerForm.messages[this.options.locale][key]) {
-      return EagerForm.messages[this.options.locale][key];
+    let chain = this.getLocaleChain();
+
+    for (let i = 0; i < chain.length; i++) {
+      let locale = chain[i];
+
+      // Instance messages take precedence
+      if (this.messages[locale] && this.messages[locale][key]) {
+        return this.messages[locale][key];
+      }
+
+      if (EagerForm.messages[locale] && EagerForm.messages[locale][key]) {
+        return EagerForm.messages[locale][key];
+      }
     }
 
     return fallback;
   }
 
   /**
-   * Translate numeric digits using a loop
+   * Translate numeric digits using the `numbers` map of the locale
+   *
+   * Intl takes care of the digits of the locales it supports, so this is only used for the others.
    *
    * @param      {String|Null|Number}  string  The string
    * @return     {String}
@@ -977,6 +3751,19 @@ export default class EagerForm {
     if (string === undefined || string === null) {
       return string;
     }
+
+    let supported = false;
+
+    try {
+      supported = typeof Intl !== 'undefined' && Intl.NumberFormat.supportedLocalesOf(this.options.locale).length > 0;
+    } catch (err) {
+      // Not a BCP 47 tag, e.g: pt_BR, Intl fell back to English for it (see intlFormat())
+      supported = false;
+    }
+
+    if (supported) {
+      return string.toString();
+    }
     string = string.toString();
     const numbers = this.translate('numbers', {});
     for (let x in numbers) {
@@ -987,24 +3774,17 @@ export default class EagerForm {
   }
 
   /**
-   * Perform basic string templating
+   * Perform string templating, supports {name} placeholders as well as ICU style plural and select branches, e.g:
+   * {count, plural, one {# character} other {# characters}}
    *
    * @param  {String} text
    * @param  {Object} replacements
+   * @param  {String} locale  The locale to pick the plural forms for
+   * @param  {Function} formatValue  Formats the values before they are inserted
    * @return {String}
    */
-  static strtpl(text, replacements) {
-    text = text.replace(
-      /\{(\s*?[\w.]+\s*?)}/gm,
-      function (match, contents, offset, input_string) {
-        if (contents in replacements) {
-          return replacements[contents];
-        }
-
-        return '';
-      }
-    );
-    return text;
+  static strtpl(text, replacements, locale = 'en', formatValue = null) {
+    return formatMessage(text, replacements, locale, formatValue);
   }
 }
 
@@ -1013,5 +3793,31 @@ EagerForm.addLocale('en', enLocale);
 
 // Register default rules
 EagerForm.rule('match', matchRule);
+EagerForm.rule('max-checked', maxCheckedRule);
+EagerForm.rule('min-checked', minCheckedRule);
+EagerForm.rule('max-size', maxSize);
+EagerForm.rule('min-size', minSize);
+EagerForm.rule('max-total-size', maxTotalSize);
+EagerForm.rule('min-total-size', minTotalSize);
+EagerForm.rule('mimes', mimes);
+EagerForm.rule('extensions', extensions);
+EagerForm.rule('max-files', maxFilesRule);
+EagerForm.rule('min-width', minWidth);
+EagerForm.rule('max-width', maxWidth);
+EagerForm.rule('min-height', minHeight);
+EagerForm.rule('max-height', maxHeight);
+EagerForm.rule('ratio', ratio);
+EagerForm.rule('after', after);
+EagerForm.rule('before', before);
+EagerForm.rule('gt', gt);
+EagerForm.rule('gte', gte);
+EagerForm.rule('lt', lt);
+EagerForm.rule('lte', lte);
+EagerForm.rule('different', different);
+
+EagerForm.normalizer('trim', trim);
+EagerForm.normalizer('collapse-whitespace', collapseWhitespace);
+EagerForm.normalizer('lowercase', lowercase);
+EagerForm.normalizer('digits-only', digitsOnly);
 EagerForm.rule('reference', referenceRule);
 EagerForm.rule('remote', remoteRule);
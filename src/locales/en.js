@@ -9,14 +9,38 @@ export default {
   typeMismatchEmail: "Please enter an email address",
   typeMismatchUrl: "Please enter an URL",
   tooLong:
-    "Please shorten this text to {maxlength} characters or less (you are currently using {count} characters).",
+    "Please shorten this text to {maxlength, plural, one {# character} other {# characters}} or less (you are currently using {count, plural, one {# character} other {# characters}}).",
   tooShort:
-    "Please lengthen this text to {minlength} characters or more (you are currently using {count} characters).",
+    "Please lengthen this text to {minlength, plural, one {# character} other {# characters}} or more (you are currently using {count, plural, one {# character} other {# characters}}).",
   rangeOverflow: "Please enter a value that is no more than {max}.",
   rangeUnderflow: "Please enter a value that is no less than {min}.",
   stepMismatch: "Please provide a valid value",
   remoteInvalid: "The field doesn't pass remote validation.",
+  remoteError: "The field couldn't be validated right now, please try again.",
   valueNotEqual: "The values don't match",
+  minChecked: "Please select at least {min, plural, one {# option} other {# options}}.",
+  maxChecked: "Please select no more than {max, plural, one {# option} other {# options}}.",
+  maxSize: "The file {file} is {size}, it can't be larger than {max}.",
+  minSize: "The file {file} is {size}, it must be at least {min}.",
+  maxTotalSize: "The selected files are {size} in total, they can't be larger than {max}.",
+  minTotalSize: "The selected files are {size} in total, they must be at least {min}.",
+  mimes: "The file {file} must be one of these types: {types}.",
+  extensions: "The file {file} must have one of these extensions: {extensions}.",
+  maxFiles: "Please select no more than {max, plural, one {# file} other {# files}}.",
+  minWidth: "The image {file} must be at least {min} pixels wide.",
+  maxWidth: "The image {file} can't be wider than {max} pixels.",
+  minHeight: "The image {file} must be at least {min} pixels high.",
+  maxHeight: "The image {file} can't be higher than {max} pixels.",
+  ratio: "The image {file} must have an aspect ratio of {ratio}.",
+  after: "Please enter a value after {other}.",
+  before: "Please enter a value before {other}.",
+  gt: "Please enter a value greater than {other}.",
+  gte: "Please enter a value greater than or equal to {other}.",
+  lt: "Please enter a value less than {other}.",
+  lte: "Please enter a value less than or equal to {other}.",
+  different: "Please enter a value different from {other}.",
+  week: "Week {week}, {year}",
+  errorSummaryTitle: "There {count, plural, one {is # problem} other {are # problems}} with this form",
   numbers: {
     '0': '0',
     '1': '1',
@@ -0,0 +1,39 @@
+/**
+ * Remove the leading and trailing whitespace
+ *
+ * @param  {String} value
+ * @return {String}
+ */
+export function trim(value) {
+  return value.trim();
+}
+
+/**
+ * Replace every run of whitespace with a single space
+ *
+ * @param  {String} value
+ * @return {String}
+ */
+export function collapseWhitespace(value) {
+  return value.replace(/\s+/g, ' ');
+}
+
+/**
+ * Lowercase the value
+ *
+ * @param  {String} value
+ * @return {String}
+ */
+export function lowercase(value) {
+  return value.toLowerCase();
+}
+
+/**
+ * Keep the digits only, e.g: "+1 (555) 010-0199" => "15550100199"
+ *
+ * @param  {String} value
+ * @return {String}
+ */
+export function digitsOnly(value) {
+  return value.replace(/\D+/g, '');
+}
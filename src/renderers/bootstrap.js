@@ -0,0 +1,21 @@
+import { createRenderer } from "./default";
+
+/**
+ * Bootstrap 5 renderer
+ *
+ * Uses the .is-invalid/.is-valid classes of the form controls and the .invalid-feedback messages
+ *
+ * @see https://getbootstrap.com/docs/5.0/forms/validation/
+ */
+export default createRenderer({
+  classes: {
+    inputValidClass: "is-valid",
+    inputInvalidClass: "is-invalid",
+    parentValidClass: "",
+    parentInvalidClass: "",
+    invalidFeedbackClass: "invalid-feedback"
+  },
+  invalidFeedbackName: "div",
+  invalidFeedbackPosition: "afterend",
+  invalidFeedbackSelector: ".invalid-feedback"
+});
@@ -0,0 +1,21 @@
+import { createRenderer } from "./default";
+
+/**
+ * Bulma renderer
+ *
+ * Uses the .is-danger/.is-success color modifiers and the .help messages
+ *
+ * @see https://bulma.io/documentation/form/general/
+ */
+export default createRenderer({
+  classes: {
+    inputValidClass: "is-success",
+    inputInvalidClass: "is-danger",
+    parentValidClass: "",
+    parentInvalidClass: "",
+    invalidFeedbackClass: "help is-danger"
+  },
+  invalidFeedbackName: "p",
+  invalidFeedbackPosition: "afterend",
+  invalidFeedbackSelector: ".help.is-danger"
+});
@@ -0,0 +1,230 @@
+/**
+ * Add or remove space separated class names, empty names are ignored
+ *
+ * @param  {HTMLElement} element
+ * @param  {String}  classes
+ * @param  {Boolean} force  Add if true, remove otherwise
+ * @return void
+ */
+function toggleClasses(element, classes, force) {
+  String(classes || "")
+    .split(/\s+/)
+    .filter(name => name.length)
+    .forEach((name) => {
+      element.classList.toggle(name, force);
+    });
+}
+
+/**
+ * Fill a feedback element with messages, several ones are shown as a list
+ *
+ * @param  {HTMLElement} feedBackElement
+ * @param  {Array} messages
+ * @return void
+ */
+function fill(feedBackElement, messages) {
+  if (messages.length < 2) {
+    feedBackElement.textContent = messages.length ? messages[0] : "";
+    return;
+  }
+
+  let list = document.createElement("ul");
+
+  messages.forEach((message) => {
+    let item = document.createElement("li");
+    item.textContent = message;
+    list.appendChild(item);
+  });
+
+  feedBackElement.textContent = "";
+  feedBackElement.appendChild(list);
+}
+
+/**
+ * Create a renderer drawing the errors with classes and feedback elements
+ *
+ * The settings override the options of the instance: classes (inputValidClass, inputInvalidClass, parentValidClass,
+ * parentInvalidClass and invalidFeedbackClass), invalidFeedbackName, invalidFeedbackPosition and
+ * invalidFeedbackSelector. Class names can be space separated lists.
+ *
+ * A renderer is an object of these methods, called with the EagerForm instance as `this`:
+ * renderError(element, message, messages) returns the feedback element (or null) so it's linked with
+ * aria-describedby, messages holds every message to show (see the `messages` option) and message the first one,
+ * renderValid(element) and clear(element).
+ *
+ * @param  {Object} settings
+ * @return {Object}
+ */
+export function createRenderer(settings = {}) {
+  /**
+   * Get the options merged with the settings of the renderer
+   *
+   * @param  {EagerForm} form
+   * @return {Object}
+   */
+  let optionsOf = (form) => {
+    return {
+      ...form.options,
+      ...settings,
+      classes: { ...form.options.classes, ...settings.classes }
+    };
+  };
+
+  /**
+   * Set the classes of the same named inputs (usually checkboxes/radios)
+   *
+   * @param  {EagerForm}   form
+   * @param  {HTMLElement} element
+   * @param  {Function}    callback  Receives each sibling
+   * @return void
+   */
+  let eachSibling = (form, element, callback) => {
+    let siblings = form.findFeedbackContainer(element).querySelectorAll(`[name="${element.getAttribute("name")}"]`);
+
+    if (siblings.length > 1) {
+      Array.prototype.forEach.call(siblings, callback);
+    }
+  };
+
+  return {
+    /**
+     * Set the error classes and show the messages
+     *
+     * @param  {HTMLFormElement} element
+     * @param  {String} message
+     * @param  {Array}  messages
+     * @return {HTMLElement|null} The feedback element
+     */
+    renderError(element, message, messages = [message]) {
+      let options = optionsOf(this);
+
+      // Add the invalid class first
+      toggleClasses(element, options.classes.inputInvalidClass, true);
+      // Remove valid class
+      toggleClasses(element, options.classes.inputValidClass, false);
+
+      // Find the parent element
+      let parent = this.findParent(element);
+
+      if (!parent) {
+        return null;
+      }
+
+      toggleClasses(parent, options.classes.parentInvalidClass, true);
+      toggleClasses(parent, options.classes.parentValidClass, false);
+
+      // Loop through the siblings to add appropriate classes, this is useful for checkboxes and radios
+      eachSibling(this, element, (sibling) => {
+        toggleClasses(sibling, options.classes.inputInvalidClass, true);
+        toggleClasses(sibling, options.classes.inputValidClass, false);
+      });
+
+      let group = this.findGroup(element);
+      let container = group || parent;
+      let feedBackElement = container.querySelector(options.invalidFeedbackSelector);
+
+      // Already created, or manually set by the DOM, so just set the error and be done with it
+      if (feedBackElement) {
+        fill(feedBackElement, messages);
+        feedBackElement.setAttribute("aria-live", "polite");
+
+        if (!feedBackElement.id) {
+          feedBackElement.id = this.getFeedbackId(element);
+        }
+
+        return feedBackElement;
+      }
+
+      // Not available, let's create it
+      let errorContainer = document.createElement(options.invalidFeedbackName);
+      errorContainer.className = options.classes.invalidFeedbackClass;
+      fill(errorContainer, messages);
+      errorContainer.setAttribute("aria-live", "polite");
+      errorContainer.id = this.getFeedbackId(element);
+
+      if (group) {
+        // Once for the whole group, after its inputs
+        group.insertAdjacentElement("beforeend", errorContainer);
+      } else {
+        element.insertAdjacentElement(options.invalidFeedbackPosition, errorContainer);
+      }
+
+      this.feedbackElements.set(element, errorContainer);
+
+      return errorContainer;
+    },
+
+    /**
+     * Remove the error, and set the success classes if enabled
+     *
+     * @param  {HTMLFormElement} element
+     * @return void
+     */
+    renderValid(element) {
+      let options = optionsOf(this);
+      let parent = this.findParent(element);
+
+      toggleClasses(element, options.classes.inputInvalidClass, false);
+      toggleClasses(element, options.classes.inputValidClass, options.showSuccessState);
+
+      if (!parent) {
+        return;
+      }
+
+      toggleClasses(parent, options.classes.parentInvalidClass, false);
+
+      if (options.showSuccessState) {
+        toggleClasses(parent, options.classes.parentValidClass, true);
+      }
+
+      let feedBackElement = this.findFeedbackContainer(element).querySelector(options.invalidFeedbackSelector);
+
+      // Clear any invalid feedback
+      if (feedBackElement) {
+        feedBackElement.textContent = "";
+      }
+
+      // Clear validation status from same named inputs (usually checkboxes/radios)
+      eachSibling(this, element, (sibling) => {
+        toggleClasses(sibling, options.classes.inputInvalidClass, false);
+
+        if (options.showSuccessState) {
+          toggleClasses(sibling, options.classes.inputValidClass, true);
+        }
+      });
+    },
+
+    /**
+     * Remove every validation class and message
+     *
+     * @param  {HTMLFormElement} element
+     * @return void
+     */
+    clear(element) {
+      let options = optionsOf(this);
+      let parent = this.findParent(element);
+
+      toggleClasses(element, options.classes.inputInvalidClass, false);
+      toggleClasses(element, options.classes.inputValidClass, false);
+
+      if (!parent) {
+        return;
+      }
+
+      toggleClasses(parent, options.classes.parentInvalidClass, false);
+      toggleClasses(parent, options.classes.parentValidClass, false);
+
+      let feedBackElement = this.findFeedbackContainer(element).querySelector(options.invalidFeedbackSelector);
+
+      // Clear any invalid feedback
+      if (feedBackElement) {
+        feedBackElement.textContent = "";
+      }
+    }
+  };
+}
+
+/**
+ * The default renderer, driven by the options of the instance
+ */
+export default createRenderer();
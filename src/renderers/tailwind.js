@@ -0,0 +1,20 @@
+import { createRenderer } from "./default";
+
+/**
+ * Tailwind CSS renderer
+ *
+ * Tailwind has no validation classes, so the utilities are set directly. The .eager-feedback class marks the
+ * messages so they can be found again.
+ */
+export default createRenderer({
+  classes: {
+    inputValidClass: "border-green-500 focus:border-green-500 focus:ring-green-500",
+    inputInvalidClass: "border-red-500 text-red-900 focus:border-red-500 focus:ring-red-500",
+    parentValidClass: "",
+    parentInvalidClass: "",
+    invalidFeedbackClass: "eager-feedback mt-2 text-sm text-red-600"
+  },
+  invalidFeedbackName: "p",
+  invalidFeedbackPosition: "afterend",
+  invalidFeedbackSelector: ".eager-feedback"
+});
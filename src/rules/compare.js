@@ -0,0 +1,99 @@
+import parseInputValue, { DATE_TYPES } from "../utils/input-value";
+
+/**
+ * Input types with typed values
+ *
+ * @type {Array}
+ */
+const TYPED = DATE_TYPES.concat(["number", "range"]);
+
+/**
+ * Turn a value into something comparable with <, > and ===
+ *
+ * Dates and numbers are parsed based on the input type, other values are compared as strings, or as numbers
+ * when both look like numbers and the comparison is ordered.
+ *
+ * @param  {String}  value
+ * @param  {String}  type
+ * @param  {String}  other    The value it will be compared to
+ * @param  {Boolean} ordered
+ * @return {Number|String|null}
+ */
+function comparable(value, type, other, ordered) {
+  if (TYPED.includes(type)) {
+    let parsed = parseInputValue(value, type);
+
+    return parsed instanceof Date ? parsed.getTime() : parsed;
+  }
+
+  let numeric = (text) => text.trim() !== "" && isFinite(text);
+
+  return ordered && numeric(value) && numeric(other) ? Number(value) : value;
+}
+
+/**
+ * Comparison rules
+ *
+ * Compare the value to the value of another field, referenced by a selector or a name:
+ * data-eager-after="#start", data-eager-gte="min_price", data-eager-different="old_password"
+ *
+ * Values are compared as the type of the input (number, date, time...), the type of the other field is used when
+ * the input itself isn't typed. Empty values always pass, use required for them.
+ *
+ * Rejects with the label of the other field as the {other} placeholder and its value as {otherValue}
+ *
+ * @param  {String}   key      The locale key of the message
+ * @param  {Function} passes   Compares the value to the other value
+ * @param  {Boolean}  ordered  Whether it's a greater/less than comparison, "1.0" and "1" are different otherwise
+ * @return {Object}
+ */
+function compareRule(key, passes, ordered = true) {
+  return {
+    // The value of the rule is a field, both fields are revalidated when either one changes
+    params: { value: "field" },
+
+    /** @this EagerForm */
+    validate(element, attribute, { value: field }) {
+      let target = this.getFieldElements(field)[0];
+      let otherValue = this.getFieldValues(field)[0];
+      let ownValue = this.getValue(element);
+
+      if (!target || otherValue === undefined || ownValue === "") {
+        return Promise.resolve();
+      }
+
+      let type = TYPED.includes(element.type) ? element.type : target.type;
+      let value = comparable(ownValue, type, otherValue, ordered);
+      let other = comparable(otherValue, type, ownValue, ordered);
+
+      return new Promise((resolve, reject) => {
+        // Unparsable values are left to the native constraints
+        if (value === null || other === null || passes(value, other)) {
+          resolve();
+        } else {
+          reject({
+            message: this.translate(key),
+            params: {
+              other: this.getLabel(target),
+              otherValue: this.formatValue(type === "number" || type === "range" ? other : otherValue, type)
+            }
+          });
+        }
+      });
+    }
+  };
+}
+
+export const after = compareRule("after", (value, other) => value > other);
+
+export const before = compareRule("before", (value, other) => value < other);
+
+export const gt = compareRule("gt", (value, other) => value > other);
+
+export const gte = compareRule("gte", (value, other) => value >= other);
+
+export const lt = compareRule("lt", (value, other) => value < other);
+
+export const lte = compareRule("lte", (value, other) => value <= other);
+
+export const different = compareRule("different", (value, other) => value !== other, false);
@@ -0,0 +1,60 @@
+import { getFiles } from "../utils/files";
+
+/**
+ * File size rules
+ *
+ * data-eager-max-size / data-eager-min-size check every selected file, data-eager-max-total-size /
+ * data-eager-min-total-size check the sum of them. Sizes are like "500KB" or "2MB", plain numbers are bytes.
+ *
+ * Rejects with the limit as the {max}/{min} placeholder, the checked size as {size} and the file name as {file},
+ * sizes are formatted as human-readable sizes.
+ *
+ * @param  {String}   key      The locale key of the message
+ * @param  {Function} passes   Compares a size to the limit
+ * @param  {Boolean}  total    Whether to check the sum of the sizes
+ * @return {Object}
+ */
+function sizeRule(key, passes, total) {
+  let placeholder = key.indexOf("max") === 0 ? "max" : "min";
+
+  return {
+    params: { value: "size" },
+
+    /** @this EagerForm */
+    validate(element, attribute, { value: limit }) {
+      let files = getFiles(element);
+
+      if (total && files.length) {
+        files = [{
+          name: files.map(file => file.name).join(", "),
+          size: files.reduce((sum, file) => sum + file.size, 0)
+        }];
+      }
+
+      let failed = files.find(file => !passes(file.size, limit));
+
+      return new Promise((resolve, reject) => {
+        if (!failed) {
+          resolve();
+        } else {
+          reject({
+            message: this.translate(key),
+            params: {
+              [placeholder]: this.formatValue(limit, "size"),
+              size: this.formatValue(failed.size, "size"),
+              file: failed.name
+            }
+          });
+        }
+      });
+    }
+  };
+}
+
+export const maxSize = sizeRule("maxSize", (size, limit) => size <= limit, false);
+
+export const minSize = sizeRule("minSize", (size, limit) => size >= limit, false);
+
+export const maxTotalSize = sizeRule("maxTotalSize", (size, limit) => size <= limit, true);
+
+export const minTotalSize = sizeRule("minTotalSize", (size, limit) => size >= limit, true);
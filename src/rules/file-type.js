@@ -0,0 +1,66 @@
+import { getFiles } from "../utils/files";
+
+/**
+ * MIME types rule
+ *
+ * Every selected file must match one of the types, e.g: data-eager-mimes="image/png, image/jpeg, application/*"
+ * Unlike the accept attribute, it's enforced on dropped files too.
+ *
+ * Rejects with the file name as the {file} placeholder and the types as {types}
+ */
+export const mimes = {
+  params: { value: "list" },
+
+  /** @this EagerForm */
+  validate(element, attribute, { value }) {
+    let types = value.map(type => type.toLowerCase());
+
+    let failed = getFiles(element).find((file) => {
+      let type = (file.type || "").toLowerCase();
+
+      return !types.some((allowed) => {
+        return allowed.slice(-2) === "/*"
+          ? type.indexOf(allowed.slice(0, -1)) === 0
+          : type === allowed;
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      if (!types.length || !failed) {
+        resolve();
+      } else {
+        reject({ message: this.translate("mimes"), params: { file: failed.name, types: types.join(", ") } });
+      }
+    });
+  }
+};
+
+/**
+ * Extensions rule
+ *
+ * Every selected file name must end with one of the extensions, e.g: data-eager-extensions="jpg, png, pdf"
+ *
+ * Rejects with the file name as the {file} placeholder and the extensions as {extensions}
+ */
+export const extensions = {
+  params: { value: "list" },
+
+  /** @this EagerForm */
+  validate(element, attribute, { value }) {
+    let allowed = value.map(extension => extension.toLowerCase().replace(/^\./, ""));
+
+    let failed = getFiles(element).find((file) => {
+      let dot = file.name.lastIndexOf(".");
+
+      return dot === -1 || !allowed.includes(file.name.slice(dot + 1).toLowerCase());
+    });
+
+    return new Promise((resolve, reject) => {
+      if (!allowed.length || !failed) {
+        resolve();
+      } else {
+        reject({ message: this.translate("extensions"), params: { file: failed.name, extensions: allowed.join(", ") } });
+      }
+    });
+  }
+};
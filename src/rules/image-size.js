@@ -0,0 +1,124 @@
+import { getFiles, readImageSize } from "../utils/files";
+
+/**
+ * Relative tolerance of the aspect ratio, images are rarely exactly 16/9
+ *
+ * @type {Number}
+ */
+const RATIO_TOLERANCE = 0.01;
+
+/**
+ * Reading the images takes a while, so these run after the cheap rules
+ *
+ * @type {Number}
+ */
+const PRIORITY = 50;
+
+/**
+ * Run a check against the natural size of every selected image, the images are read locally
+ *
+ * Files that aren't readable images are skipped, the mimes/extensions rules deal with them.
+ *
+ * @param  {Object}   element
+ * @param  {Function} passes  Receives the size ({ width, height }) of an image
+ * @return {Promise<Object|null>} The first failing file with its size
+ */
+function findFailure(element, passes) {
+  let files = getFiles(element);
+
+  return Promise.all(files.map(file => readImageSize(file))).then((sizes) => {
+    let index = sizes.findIndex(size => size !== null && !passes(size));
+
+    return index === -1 ? null : { file: files[index], ...sizes[index] };
+  });
+}
+
+/**
+ * Image dimension rules
+ *
+ * data-eager-min-width, data-eager-max-width, data-eager-min-height and data-eager-max-height in pixels
+ *
+ * Rejects with the limit as the {min}/{max} placeholder, the file name as {file} and the size of the image
+ * as {width} and {height}
+ *
+ * @param  {String} key        The locale key of the message
+ * @param  {String} dimension  Either width or height
+ * @return {Object}
+ */
+function dimensionRule(key, dimension) {
+  let placeholder = key.indexOf("max") === 0 ? "max" : "min";
+
+  return {
+    params: { value: "number" },
+
+    priority: PRIORITY,
+
+    /** @this EagerForm */
+    validate(element, attribute, { value: limit }) {
+      return findFailure(element, (size) => {
+        return placeholder === "max" ? size[dimension] <= limit : size[dimension] >= limit;
+      }).then((failure) => {
+        if (failure) {
+          return Promise.reject({
+            message: this.translate(key),
+            params: { [placeholder]: limit, file: failure.file.name, width: failure.width, height: failure.height }
+          });
+        }
+      });
+    }
+  };
+}
+
+export const minWidth = dimensionRule("minWidth", "width");
+
+export const maxWidth = dimensionRule("maxWidth", "width");
+
+export const minHeight = dimensionRule("minHeight", "height");
+
+export const maxHeight = dimensionRule("maxHeight", "height");
+
+/**
+ * Parse an aspect ratio, e.g: "16/9", "4:3" or "1.5"
+ *
+ * @param  {String} value
+ * @return {Object} The ratio as a number and as it's written
+ */
+function parseRatio(value) {
+  let text = value.trim();
+  let parts = text.split(/\s*[/:]\s*/).map(part => (part === "" ? NaN : Number(part)));
+  let expected = parts.length === 2 ? parts[0] / parts[1] : parts[0];
+
+  if (parts.length > 2 || !isFinite(expected) || expected <= 0) {
+    throw new Error("must be a ratio like 16/9, 4:3 or 1.5");
+  }
+
+  return { value: expected, text };
+}
+
+/**
+ * Aspect ratio rule
+ *
+ * The width divided by the height, e.g: data-eager-ratio="16/9", "4:3" or "1.5"
+ *
+ * Rejects with the expected ratio as the {ratio} placeholder, the file name as {file} and the size of the image
+ * as {width} and {height}
+ */
+export const ratio = {
+  params: { value: parseRatio },
+
+  priority: PRIORITY,
+
+  /** @this EagerForm */
+  validate(element, attribute, { value: expected }) {
+    return findFailure(element, (size) => {
+      return Math.abs(size.width / size.height - expected.value) <= expected.value * RATIO_TOLERANCE;
+    }).then((failure) => {
+      if (failure) {
+        return Promise.reject({
+          message: this.translate("ratio"),
+          params: { ratio: expected.text, file: failure.file.name, width: failure.width, height: failure.height }
+        });
+      }
+    });
+  }
+};
@@ -1,15 +1,29 @@
-/** @this EagerForm */
-export default function (element, attribute) {
-  let msg = this.translate("valueNotEqual");
+/**
+ * Match rule
+ *
+ * The value must equal the value of the element matching the selector, e.g: data-eager-match="#password"
+ *
+ * Rejects with the label of the referenced field as the {other} placeholder
+ */
+export default {
+  params: { value: "selector" },
 
-  return new Promise((resolve, reject) => {
-    if (
-      element.value ===
-      document.querySelector(element.getAttribute(attribute)).value
-    ) {
-      resolve();
-    } else {
-      reject(msg);
-    }
-  });
-}
+  /**
+   * @this EagerForm
+   * @param  {Object} element
+   * @param  {String} attribute
+   * @param  {Object} params
+   * @return {Promise}
+   */
+  validate(element, attribute, { value: target }) {
+    let msg = this.translate("valueNotEqual");
+
+    return new Promise((resolve, reject) => {
+      if (this.getValue(element) === this.getValue(target)) {
+        resolve();
+      } else {
+        reject({ message: msg, params: { other: this.getLabel(target) } });
+      }
+    });
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Maximum checked rule
+ *
+ * A group rule, the attribute can be set on the first checkbox or on the element holding the group, e.g:
+ * <fieldset data-eager-max-checked="3">. Rejects with the maximum as the {max} placeholder
+ */
+export default {
+  params: { value: "number" },
+
+  group: true,
+
+  /**
+   * @this EagerForm
+   * @param  {Object} element
+   * @param  {String} attribute
+   * @param  {Object} params
+   * @return {Promise}
+   */
+  validate(element, attribute, { value: max }) {
+    let count = this.getFieldValues(this.getNamedField(element.name)).length;
+
+    return new Promise((resolve, reject) => {
+      if (count <= max) {
+        resolve();
+      } else {
+        reject({ message: this.translate("maxChecked"), params: { max, count } });
+      }
+    });
+  }
+};
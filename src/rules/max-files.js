@@ -0,0 +1,29 @@
+import { getFiles } from "../utils/files";
+
+/**
+ * Maximum files rule
+ *
+ * Rejects with the maximum as the {max} placeholder and the number of selected files as {count}
+ */
+export default {
+  params: { value: "number" },
+
+  /**
+   * @this EagerForm
+   * @param  {Object} element
+   * @param  {String} attribute
+   * @param  {Object} params
+   * @return {Promise}
+   */
+  validate(element, attribute, { value: max }) {
+    let count = getFiles(element).length;
+
+    return new Promise((resolve, reject) => {
+      if (count <= max) {
+        resolve();
+      } else {
+        reject({ message: this.translate("maxFiles"), params: { max, count } });
+      }
+    });
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Minimum checked rule
+ *
+ * A group rule, the attribute can be set on the first checkbox or on the element holding the group, e.g:
+ * <fieldset data-eager-min-checked="2">. Rejects with the minimum as the {min} placeholder
+ */
+export default {
+  params: { value: "number" },
+
+  group: true,
+
+  /**
+   * @this EagerForm
+   * @param  {Object} element
+   * @param  {String} attribute
+   * @param  {Object} params
+   * @return {Promise}
+   */
+  validate(element, attribute, { value: min }) {
+    let count = this.getFieldValues(this.getNamedField(element.name)).length;
+
+    return new Promise((resolve, reject) => {
+      if (count >= min) {
+        resolve();
+      } else {
+        reject({ message: this.translate("minChecked"), params: { min, count } });
+      }
+    });
+  }
+};
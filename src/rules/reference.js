@@ -1,19 +1,27 @@
 /**
  * The reference is meant to be used alongside match rule, this should be added to the original field.
  * This rule watches the target field and if the field is not empty fires a change event on the target element
- *
- * @param  {Object} element
- * @param  {String} attribute
- * @return {Object}
  */
-export default function (element, attribute) {
-  return new Promise((resolve, reject) => {
-    let target = document.querySelector(element.getAttribute(attribute));
+export default {
+  params: { value: 'selector' },
 
-    if (target.value.length) {
-      target.dispatchEvent(new Event('change', {bubbles: true}));
-    }
+  // It never fails, it only revalidates the target, so it runs even when another rule failed
+  bail: false,
 
-    resolve();
-  });
-}
+  /**
+   * @this EagerForm
+   * @param  {Object} element
+   * @param  {String} attribute
+   * @param  {Object} params
+   * @return {Promise}
+   */
+  validate(element, attribute, { value: target }) {
+    return new Promise((resolve, reject) => {
+      if (target.value.length) {
+        target.dispatchEvent(new Event('change', {bubbles: true}));
+      }
+
+      resolve();
+    });
+  }
+};
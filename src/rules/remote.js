@@ -1,85 +1,240 @@
+import encodeBody, { appendQuery, readBody, sendRequest } from "../utils/request";
+
+/**
+ * How many outcomes are cached at most, the oldest ones are dropped first
+ *
+ * @type {Number}
+ */
+const CACHE_LIMIT = 100;
+
 /**
  * Remote rule
  *
  * By default an exact HTTP 200 means the input passed validation, any other codes mean it didn't
  * You can reverse this behaviour by setting the data-eager-remote-reverse="true" attribute like this
  *
+ * A JSON response like { valid: false, message: "...", suggestions: [...] } decides on its own instead, its message
+ * is shown as it is. The suggestions are available as the {suggestions} placeholder of the error attribute or of
+ * the remoteInvalid message.
+ *
+ * Outcomes are cached per request for `remote.cache` milliseconds, the messages are translated when they're shown.
+ *
+ * The request is sent using the `transport` option (fetch by default) and configured with the `remote` option,
+ * which can be overridden per element with a JSON data-eager-remote-options attribute. A pending request is
+ * aborted as soon as the field is validated again. It runs after the local rules of the field.
+ *
  * @param  {Object} element
  * @param  {String} attribute
+ * @param  {Object} params  The URL as value, options and reverse
  * @return {Promise}
  */
 /** @this EagerForm */
-export default function (element, attribute) {
+function remote(element, attribute, params) {
+  let options = {
+    ...this.constructor.defaultOptions.remote,
+    ...this.options.remote,
+    ...params.options
+  };
+
+  let reverse = params.reverse;
+
+  let request = buildRequest.call(this, element, decodeURIComponent(params.value), options);
 
-  let endpoint = decodeURIComponent(element
-    .getAttribute(attribute))
-    .replace("{value}", element.value);
+  let cacheKey = [request.init.method, request.url, request.init.body].join(" ");
+  let cached = this.remoteCache.get(cacheKey);
 
-  let reverse =
-    element.getAttribute(`${attribute}-reverse`) === "true";
+  if (cached && cached.expires > Date.now()) {
+    // Still, a pending request of an older value mustn't settle
+    this.abortRemote(element);
+    return settle.call(this, cached.outcome);
+  }
+
+  this.remoteCache.delete(cacheKey);
 
-  let busyAttr = `data-${EagerForm.RULE_PREFIX}-remote-busy`;
+  let busyAttr = `data-${this.constructor.RULE_PREFIX}-remote-busy`;
 
   let parent = this.findParent(element);
 
-  parent.setAttribute(busyAttr, 'true');
+  // Abort pending requests before starting new ones
+  this.abortRemote(element);
 
-  let name = `__remote_request_${element.id}`;
+  let controller = null;
 
-  if (typeof this[name] == "undefined") {
-    this[name] = new XMLHttpRequest();
-  }
+  parent.setAttribute(busyAttr, "true");
 
-  let options = {
-    method: "GET",
-    headers: {},
-    data: null,
+  let attempt = (retries) => {
+    // A timed out request is aborted, so every attempt gets its own controller
+    controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    this.remoteRequests.set(element, controller);
+
+    return sendRequest(this.options.transport, request.url, request.init, options.timeout, controller).catch((err) => {
+      // Superseded by a newer request, or the rule is being torn down
+      if ((err && err.name === "AbortError") || this.remoteRequests.get(element) !== controller) {
+        throw err;
+      }
+
+      if (options.onNetworkError === "retry" && retries > 0) {
+        return attempt(retries - 1);
+      }
+
+      if (options.onNetworkError === "pass") {
+        return null;
+      }
+
+      throw this.translate("remoteError");
+    });
   };
 
-  let customOptions;
+  return attempt(options.retries)
+    .then((response) => {
+      // Network error, treated as passed
+      if (response === null) {
+        return { valid: true };
+      }
 
-  if (element.hasAttribute(`${attribute}-options`)) {
-    try {
-      customOptions = JSON.parse(element.getAttribute(`${attribute}-options`));
-    } catch (err) {}
-  }
+      return readOutcome(response, reverse).then((outcome) => {
+        if (options.cache > 0) {
+          cache(this.remoteCache, cacheKey, { outcome, expires: Date.now() + options.cache });
+        }
+
+        return outcome;
+      });
+    })
+    .then(outcome => settle.call(this, outcome))
+    .finally(() => {
+      // Only the latest request owns the busy state
+      if (this.remoteRequests.get(element) === controller) {
+        this.remoteRequests.delete(element);
+        parent.setAttribute(busyAttr, "false");
+      }
+    });
+}
 
-  if (customOptions) {
-    options = { ...options, ...customOptions };
-  }
+export default {
+  params: {
+    value: "string",
+    options: { type: "json", default: {} },
+    reverse: { type: "boolean", default: false }
+  },
 
-  // Abort pending requests before starting new ones
-  if (this[name].readyState > 0 && this[name].readyState < 4) {
-    this[name].abort();
+  // Network rules run after the local ones
+  priority: 100,
+
+  validate: remote
+};
+
+/**
+ * Store an outcome, dropping the expired ones and the oldest ones above the limit
+ *
+ * @param  {Map}    store
+ * @param  {String} key
+ * @param  {Object} entry
+ * @return void
+ */
+function cache(store, key, entry) {
+  let now = Date.now();
+
+  store.forEach((cached, cachedKey) => {
+    if (cached.expires <= now) {
+      store.delete(cachedKey);
+    }
+  });
+
+  // Maps iterate in insertion order, the first keys are the oldest
+  let keys = store.keys();
+
+  while (store.size >= CACHE_LIMIT) {
+    store.delete(keys.next().value);
   }
 
-  const xhr = this[name];
-  xhr.open(options.method, endpoint);
+  store.set(key, entry);
+}
 
-  for (const key in options.headers) {
-    xhr.setRequestHeader(key, options.headers[key]);
+/**
+ * Resolve or reject based on an outcome, the message is translated now so it follows the current locale
+ *
+ * @param  {Object} outcome
+ * @return {Promise}
+ */
+/** @this EagerForm */
+function settle(outcome) {
+  if (outcome.valid) {
+    return Promise.resolve();
   }
 
-  const msg = this.translate('remoteInvalid');
+  return Promise.reject({
+    // Messages from the server aren't templates, they're shown as they are
+    message: outcome.message === null ? this.translate("remoteInvalid") : outcome.message,
+    verbatim: outcome.message !== null,
+    params: {
+      suggestions: outcome.suggestions.join(", ")
+    },
+    suggestions: outcome.suggestions
+  });
+}
 
-  return new Promise((resolve, reject) => {
-    xhr.onload = function () {
-      let success = this.status === 200;
+/**
+ * Read the outcome of a response, the JSON body decides if it has a boolean "valid" property, the status otherwise
+ *
+ * @param  {Object} response
+ * @param  {Boolean} reverse
+ * @return {Promise<Object>} e.g: { valid: false, message: "..." (null if the server didn't send one), suggestions: [] }
+ */
+function readOutcome(response, reverse) {
+  return readBody(response).then((data) => {
+    let valid;
+
+    if (data && typeof data.valid === "boolean") {
+      valid = data.valid;
+    } else {
+      valid = response.status === 200;
       if (reverse) {
-        success = !success;
+        valid = !valid;
       }
+    }
 
-      parent.setAttribute(busyAttr, 'false');
+    if (valid) {
+      return { valid };
+    }
 
-      if (success) {
-        resolve();
-      } else {
-        reject(msg);
-      }
-    };
-    xhr.onerror = function () {
-      console.log(`${this.status} ${this.statusText}`);
+    return {
+      valid,
+      message: data && typeof data.message === "string" ? data.message : null,
+      suggestions: data && Array.isArray(data.suggestions) ? data.suggestions : []
     };
-    xhr.send(options.data);
   });
 }
+
+/**
+ * Build the URL and the fetch options of the request
+ *
+ * @param  {Object} element
+ * @param  {String} endpoint
+ * @param  {Object} options
+ * @return {Object}
+ */
+function buildRequest(element, endpoint, options) {
+  let url = endpoint.replace("{value}", encodeURIComponent(this.getValue(element)));
+  let method = options.method.toUpperCase();
+  let headers = { ...options.headers };
+  let data = null;
+
+  if (options.send === "field") {
+    data = [[element.getAttribute("name"), this.getValue(element)]];
+  } else if (options.send === "form") {
+    data = this.getFormEntries();
+  }
+
+  let body = null;
+
+  if (data && (method === "GET" || method === "HEAD")) {
+    url = appendQuery(url, data);
+  } else if (data) {
+    let encoded = encodeBody(data, options.encoding);
+
+    body = encoded.body;
+    Object.assign(headers, encoded.headers);
+  }
+
+  return { url, init: { method, headers, body } };
+}
@@ -0,0 +1,104 @@
+/**
+ * File size units, each one 1024 times the previous one
+ *
+ * @type {Array}
+ */
+export const SIZE_UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+
+/**
+ * Short labels of the size units, used when Intl can't format units
+ *
+ * @type {Object}
+ */
+export const SIZE_LABELS = { byte: 'B', kilobyte: 'KB', megabyte: 'MB', gigabyte: 'GB', terabyte: 'TB' };
+
+/**
+ * Parse a file size into bytes, e.g: "500", "200KB", "1.5 MB", "2G"
+ *
+ * Plain numbers are bytes, units are binary (1KB = 1024 bytes).
+ *
+ * @param  {String|Number} value
+ * @return {Number} NaN if the size can't be parsed
+ */
+export default function parseFileSize(value) {
+  let match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/i);
+
+  if (!match) {
+    return NaN;
+  }
+
+  let power = ['', 'k', 'm', 'g', 't'].indexOf(match[2].toLowerCase());
+
+  return Math.round(Number(match[1]) * Math.pow(1024, power));
+}
+
+/**
+ * Split bytes into the largest unit they reach, e.g: 1536 => { value: 1.5, unit: 'kilobyte' }
+ *
+ * @param  {Number} bytes
+ * @return {Object}
+ */
+export function splitFileSize(bytes) {
+  let power = 0;
+
+  while (bytes >= Math.pow(1024, power + 1) && power < SIZE_UNITS.length - 1) {
+    power++;
+  }
+
+  return { value: bytes / Math.pow(1024, power), unit: SIZE_UNITS[power] };
+}
+
+/**
+ * Get the selected files of an element
+ *
+ * @param  {HTMLFormElement} element
+ * @return {Array}
+ */
+export function getFiles(element) {
+  return element.files ? Array.prototype.slice.call(element.files) : [];
+}
+
+/**
+ * Natural sizes of the images already read, keyed by file
+ *
+ * @type {WeakMap}
+ */
+const imageSizes = new WeakMap();
+
+/**
+ * Read the natural width and height of an image file locally
+ *
+ * @param  {File} file
+ * @return {Promise<Object|null>} e.g: { width: 800, height: 600 }, null if the file isn't a readable image
+ */
+export function readImageSize(file) {
+  if (imageSizes.has(file)) {
+    return imageSizes.get(file);
+  }
+
+  let size = new Promise((resolve) => {
+    if (!/^image\//.test(file.type) || typeof URL === 'undefined' || !URL.createObjectURL) {
+      resolve(null);
+      return;
+    }
+
+    let url = URL.createObjectURL(file);
+    let image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve({ width: image.naturalWidth, height: image.naturalHeight });
+    };
+
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+
+    image.src = url;
+  });
+
+  imageSizes.set(file, size);
+
+  return size;
+}
@@ -0,0 +1,78 @@
+/**
+ * Input types that hold a date and/or a time
+ *
+ * @type {Array}
+ */
+export const DATE_TYPES = ['date', 'time', 'month', 'week', 'datetime-local'];
+
+/**
+ * Parse the value of an input into a typed value, based on the input type
+ *
+ * Dates and times are parsed as UTC wall-clock times, so they must be formatted/compared in UTC as well.
+ * Time only values are set on 1970-01-01.
+ *
+ * @param  {String} value
+ * @param  {String} type  The input type
+ * @return {Date|Number|String|null} Null if the value can't be parsed
+ */
+export default function parseInputValue(value, type) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  value = String(value).trim();
+
+  let match;
+
+  switch (type) {
+    case 'number':
+    case 'range':
+      return value !== '' && isFinite(value) ? Number(value) : null;
+    case 'date':
+      match = value.match(/^(\d{4,})-(\d{2})-(\d{2})$/);
+      return match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+    case 'month':
+      match = value.match(/^(\d{4,})-(\d{2})$/);
+      return match ? new Date(Date.UTC(match[1], match[2] - 1, 1)) : null;
+    case 'week':
+      match = value.match(/^(\d{4,})-W(\d{2})$/);
+      return match ? isoWeekStart(Number(match[1]), Number(match[2])) : null;
+    case 'time':
+      match = value.match(/^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/);
+      return match ? new Date(Date.UTC(1970, 0, 1, match[1], match[2], match[3] || 0, match[4] || 0)) : null;
+    case 'datetime-local':
+      match = value.match(/^(\d{4,})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/);
+      return match
+        ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6] || 0, match[7] || 0))
+        : null;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Get the year and the number of an ISO week value, e.g: 2024-W05
+ *
+ * @param  {String} value
+ * @return {Object|null}
+ */
+export function parseWeek(value) {
+  let match = String(value).match(/^(\d{4,})-W(\d{2})$/);
+
+  return match ? { year: Number(match[1]), week: Number(match[2]) } : null;
+}
+
+/**
+ * Get the monday of an ISO week
+ *
+ * @param  {Number} year
+ * @param  {Number} week
+ * @return {Date}
+ */
+function isoWeekStart(year, week) {
+  // January 4th is always in the first ISO week
+  let january4th = new Date(Date.UTC(year, 0, 4));
+  let dayOfWeek = (january4th.getUTCDay() + 6) % 7;
+
+  return new Date(Date.UTC(year, 0, 4 - dayOfWeek + (week - 1) * 7));
+}
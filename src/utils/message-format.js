@@ -0,0 +1,233 @@
+/**
+ * A tiny subset of the ICU message format
+ *
+ * Supports simple placeholders: {name}
+ * Plural branches backed by Intl.PluralRules: {count, plural, =0 {nothing} one {# item} other {# items}}
+ * Ordinal branches: {position, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+ * Select branches: {gender, select, male {he} female {she} other {they}}
+ *
+ * Inside a plural branch the # sign is replaced with the formatted number. Branches can be nested.
+ *
+ * @param  {String}   text
+ * @param  {Object}   values
+ * @param  {String}   locale
+ * @param  {Function} formatValue  Formats a value before it's inserted, receives the value and the placeholder name
+ * @return {String}
+ */
+export default function formatMessage(text, values = {}, locale = 'en', formatValue = null) {
+  let context = {
+    values,
+    locale,
+    formatValue: formatValue || (value => value)
+  };
+
+  return render(String(text), context, null);
+}
+
+/**
+ * Render a piece of message
+ *
+ * @param  {String} text
+ * @param  {Object} context
+ * @param  {String|null} hash The replacement for # signs, only set inside plural branches
+ * @return {String}
+ */
+function render(text, context, hash) {
+  let output = '';
+  let index = 0;
+
+  while (index < text.length) {
+    let char = text.charAt(index);
+
+    if (char === '{') {
+      let end = findClosingBrace(text, index);
+
+      // Unbalanced, keep the rest as it is
+      if (end === -1) {
+        output += text.slice(index);
+        break;
+      }
+
+      output += renderArgument(text.slice(index + 1, end), context, hash);
+      index = end + 1;
+      continue;
+    }
+
+    if (char === '#' && hash !== null) {
+      output += hash;
+    } else {
+      output += char;
+    }
+
+    index++;
+  }
+
+  return output;
+}
+
+/**
+ * Render the contents of a {...} block
+ *
+ * @param  {String} body
+ * @param  {Object} context
+ * @param  {String|null} hash
+ * @return {String}
+ */
+function renderArgument(body, context, hash) {
+  let match = body.match(/^\s*([\w.]+)\s*(?:,\s*(plural|selectordinal|select)\s*,([\s\S]*))?$/);
+
+  // Not a placeholder, leave it untouched
+  if (!match) {
+    return `{${body}}`;
+  }
+
+  let name = match[1];
+  let value = context.values[name];
+
+  // Simple placeholder
+  if (!match[2]) {
+    if (!(name in context.values)) {
+      return '';
+    }
+
+    return value === null || value === undefined ? '' : context.formatValue(value, name);
+  }
+
+  let branches = parseBranches(match[3]);
+
+  if (match[2] === 'select') {
+    let key = value === null || value === undefined ? 'other' : String(value);
+    let branch = key in branches.options ? branches.options[key] : branches.options.other;
+
+    return branch === undefined ? '' : render(branch, context, hash);
+  }
+
+  let number = Number(value) - branches.offset;
+
+  if (isNaN(number)) {
+    number = 0;
+  }
+
+  // Exact matches win over the plural categories
+  let branch = branches.options[`=${Number(value)}`];
+
+  if (branch === undefined) {
+    branch = branches.options[pluralCategory(number, context.locale, match[2])];
+  }
+
+  if (branch === undefined) {
+    branch = branches.options.other;
+  }
+
+  if (branch === undefined) {
+    return '';
+  }
+
+  return render(branch, context, context.formatValue(number, name));
+}
+
+/**
+ * Parse the branches of a plural/select block
+ *
+ * @param  {String} text e.g: "offset:1 =0 {none} one {# item} other {# items}"
+ * @return {Object}
+ */
+function parseBranches(text) {
+  let options = {};
+  let offset = 0;
+  let index = 0;
+
+  while (index < text.length) {
+    // Skip whitespace
+    while (index < text.length && /\s/.test(text.charAt(index))) {
+      index++;
+    }
+
+    if (index >= text.length) {
+      break;
+    }
+
+    let start = index;
+
+    while (index < text.length && !/[\s{]/.test(text.charAt(index))) {
+      index++;
+    }
+
+    let selector = text.slice(start, index);
+
+    if (selector.indexOf('offset:') === 0) {
+      offset = parseInt(selector.slice(7), 10) || 0;
+      continue;
+    }
+
+    while (index < text.length && /\s/.test(text.charAt(index))) {
+      index++;
+    }
+
+    // Malformed, stop parsing
+    if (text.charAt(index) !== '{') {
+      break;
+    }
+
+    let end = findClosingBrace(text, index);
+
+    if (end === -1) {
+      break;
+    }
+
+    options[selector] = text.slice(index + 1, end);
+    index = end + 1;
+  }
+
+  return { options, offset };
+}
+
+/**
+ * Find the matching closing brace of the brace at the given position
+ *
+ * @param  {String} text
+ * @param  {Number} start
+ * @return {Number} -1 if not found
+ */
+function findClosingBrace(text, start) {
+  let depth = 0;
+
+  for (let index = start; index < text.length; index++) {
+    let char = text.charAt(index);
+
+    if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+
+      if (depth === 0) {
+        return index;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Get the plural category of a number
+ *
+ * @param  {Number} number
+ * @param  {String} locale
+ * @param  {String} type Either plural or selectordinal
+ * @return {String}
+ */
+function pluralCategory(number, locale, type) {
+  let options = { type: type === 'selectordinal' ? 'ordinal' : 'cardinal' };
+
+  if (typeof Intl === 'undefined' || !Intl.PluralRules) {
+    return number === 1 && options.type === 'cardinal' ? 'one' : 'other';
+  }
+
+  try {
+    return new Intl.PluralRules(locale, options).select(number);
+  } catch (err) {
+    // Unsupported locale
+    return new Intl.PluralRules('en', options).select(number);
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Get the entries of a form, including the name/value of the submitter
+ *
+ * @param  {HTMLFormElement} form
+ * @param  {HTMLElement|null} submitter
+ * @return {Array} e.g: [['email', 'john@example.com'], ['avatar', File]]
+ */
+export function formEntries(form, submitter = null) {
+  let entries = [];
+
+  new FormData(form).forEach((value, key) => {
+    entries.push([key, value]);
+  });
+
+  if (submitter && submitter.name) {
+    entries.push([submitter.name, submitter.value]);
+  }
+
+  return entries;
+}
+
+/**
+ * Encode entries as a request body
+ *
+ * Files can't be sent as JSON or url encoded, they're left out of those. In JSON, repeated keys become arrays.
+ *
+ * @param  {Array}  entries
+ * @param  {String} encoding  One of these: 'form' (url encoded), 'json' or 'form-data' (multipart)
+ * @return {Object} The body and its headers
+ */
+export default function encodeBody(entries, encoding) {
+  if (encoding === 'form-data') {
+    let body = new FormData();
+
+    entries.forEach(([key, value]) => {
+      body.append(key, value);
+    });
+
+    // The browser sets the content type along with the boundary
+    return { body, headers: {} };
+  }
+
+  let strings = entries.filter(([key, value]) => typeof value === 'string');
+
+  if (encoding === 'json') {
+    let json = {};
+
+    strings.forEach(([key, value]) => {
+      if (!(key in json)) {
+        json[key] = value;
+      } else if (Array.isArray(json[key])) {
+        json[key].push(value);
+      } else {
+        json[key] = [json[key], value];
+      }
+    });
+
+    return { body: JSON.stringify(json), headers: { 'Content-Type': 'application/json' } };
+  }
+
+  return {
+    body: new URLSearchParams(strings).toString(),
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' }
+  };
+}
+
+/**
+ * Append entries to the query string of a URL
+ *
+ * @param  {String} url
+ * @param  {Array}  entries
+ * @return {String}
+ */
+export function appendQuery(url, entries) {
+  let query = new URLSearchParams(entries.filter(([key, value]) => typeof value === 'string')).toString();
+
+  if (!query.length) {
+    return url;
+  }
+
+  return url + (url.indexOf('?') === -1 ? '?' : '&') + query;
+}
+
+/**
+ * Send a request through a transport, failing after a timeout
+ *
+ * A timed out request is aborted with the controller, so it doesn't keep running in the background.
+ *
+ * @param  {Function|null} transport  Replaces fetch, receives the URL and the fetch options
+ * @param  {String}  url
+ * @param  {Object}  init  The fetch options
+ * @param  {Number}  timeout  Milliseconds, 0 to wait forever
+ * @param  {AbortController|null} controller
+ * @return {Promise}
+ */
+export function sendRequest(transport, url, init, timeout = 0, controller = null) {
+  let send = transport || ((url, init) => window.fetch(url, init));
+  let timer;
+
+  init = { ...init };
+
+  if (controller) {
+    init.signal = controller.signal;
+  }
+
+  let requests = [Promise.resolve().then(() => send(url, init))];
+
+  if (timeout > 0) {
+    requests.push(new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`The request to ${url} timed out.`));
+
+        if (controller) {
+          controller.abort();
+        }
+      }, timeout);
+    }));
+  }
+
+  // Settled either way, the timer mustn't fire anymore
+  return Promise.race(requests).finally(() => {
+    clearTimeout(timer);
+  });
+}
+
+/**
+ * Read the body of a response, parsed when it's JSON
+ *
+ * @param  {Object} response  A Response like object
+ * @return {Promise} Resolves with null when there's nothing to read
+ */
+export function readBody(response) {
+  let type = response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get('Content-Type') || ''
+    : '';
+
+  if (/json/i.test(type) || (!response.headers && typeof response.json === 'function')) {
+    return response.json().catch(() => null);
+  }
+
+  return typeof response.text === 'function' ? response.text().catch(() => null) : Promise.resolve(null);
+}
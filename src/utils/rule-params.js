@@ -0,0 +1,120 @@
+import parseFileSize from './files';
+
+/**
+ * Parameter types of the rules, see EagerForm.rule()
+ *
+ * Each parser receives the attribute value and the EagerForm instance, and returns the typed value. A malformed
+ * value throws an error describing what's expected, e.g: "must be a number".
+ *
+ * @type {Object}
+ */
+export const PARAM_TYPES = {
+  string: value => value,
+
+  number: (value) => {
+    if (value.trim() === '' || !isFinite(value)) {
+      throw new Error('must be a number');
+    }
+
+    return Number(value);
+  },
+
+  boolean: (value) => {
+    if (value !== 'true' && value !== 'false') {
+      throw new Error('must be true or false');
+    }
+
+    return value === 'true';
+  },
+
+  // In bytes, e.g: "500KB" or "2MB", see parseFileSize()
+  size: (value) => {
+    let bytes = parseFileSize(value);
+
+    if (isNaN(bytes)) {
+      throw new Error('must be a file size like 500KB or 2MB');
+    }
+
+    return bytes;
+  },
+
+  // Comma separated, e.g: "jpg, png, pdf"
+  list: (value) => {
+    return value
+      .split(',')
+      .map(item => item.trim())
+      .filter(item => item.length);
+  },
+
+  json: (value) => {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      throw new Error(`must be valid JSON (${err.message})`);
+    }
+  },
+
+  // Looked up in the form first, then in the document
+  selector: (value, eagerForm) => {
+    let element;
+
+    try {
+      element = eagerForm.form.querySelector(value) || document.querySelector(value);
+    } catch (err) {
+      throw new Error('must be a valid selector');
+    }
+
+    if (!element) {
+      throw new Error('doesn\'t match any element');
+    }
+
+    return element;
+  },
+
+  // A selector or a name, resolved by resolveField()
+  field: (value, eagerForm) => {
+    let field = eagerForm.resolveField(value);
+
+    if (!field) {
+      throw new Error('doesn\'t match any field');
+    }
+
+    return field;
+  }
+};
+
+/**
+ * Types resolved against the DOM, they're resolved again on every validation instead of being cached
+ *
+ * @type {Array}
+ */
+export const LIVE_TYPES = ['selector', 'field'];
+
+/**
+ * Normalize the parameter schema of a rule, every parameter becomes { type, required, default }
+ *
+ * @param  {String} name  The name of the rule
+ * @param  {Object} params  e.g: { value: 'number', options: { type: 'json', default: {} } }
+ * @return {Object}
+ */
+export default function normalizeParams(name, params = {}) {
+  let schema = {};
+
+  Object.keys(params).forEach((key) => {
+    let param = typeof params[key] === 'object' ? params[key] : { type: params[key] };
+    let type = param.type || 'string';
+
+    if (typeof type !== 'function' && !(type in PARAM_TYPES)) {
+      throw new Error(`The parameter type ${type} of the rule ${name} doesn't exist.`);
+    }
+
+    schema[key] = { required: false, default: undefined, ...param, type };
+  });
+
+  // The value of the rule attribute itself
+  if (!('value' in schema)) {
+    schema.value = { type: 'string', required: false, default: undefined };
+  }
+
+  return schema;
+}
@@ -0,0 +1,914 @@
+import EagerForm from '../src/index';
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+
+describe('validate()', () => {
+  test('resolves with the results once the async rules settle', async () => {
+    document.body.innerHTML = `<form id="f"><div><input name="a" required></div>
+      <div><input name="b" id="b" data-eager-slow="1"></div><button type="submit">s</button></form>`;
+    let rejectSlow;
+    EagerForm.rule('slow', () => new Promise((res, rej) => { rejectSlow = rej; }));
+    const form = new EagerForm('#f');
+    const p = form.validate();
+    await tick();
+    rejectSlow('nope');
+    const r = await p;
+    expect(r.valid).toBe(false);
+    expect(r.fields.a.validity).toEqual(['valueMissing']);
+    expect(r.fields.b.rules).toEqual(['slow']);
+    expect(r.fields.b.messages).toEqual(['nope']);
+    delete EagerForm.rules.slow;
+  });
+
+  test('lets the held submission through once the form is valid', async () => {
+    document.body.innerHTML = `<form id="f"><div><input name="a" value="x" required></div><button type="submit">s</button></form>`;
+    const seen = [];
+    // Added before EagerForm, it still gets the validated submission only
+    document.getElementById('f').addEventListener('submit', e => { seen.push(e.defaultPrevented); e.preventDefault(); });
+    const form = new EagerForm('#f');
+    document.querySelector('button').click();
+    await tick(10);
+    expect(seen).toEqual([false]);
+  });
+
+  test('validates a submission once while it is held', async () => {
+    document.body.innerHTML = `<form id="fh"><div><input name="a" value="x" data-eager-slow="1"></div><button type="submit">s</button></form>`;
+    const form = new EagerForm('#fh');
+    let calls = 0;
+    form.rule('slow', () => { calls++; return new Promise(r => setTimeout(r, 20)); });
+    const seen = [];
+    document.getElementById('fh').addEventListener('submit', e => { seen.push(e.defaultPrevented); e.preventDefault(); });
+    const button = document.querySelector('button');
+    button.click();
+    button.click();
+    await tick(50);
+    expect(calls).toBe(1);
+    expect(seen).toEqual([false]);
+  });
+});
+
+describe('fields option', () => {
+  test('declares rules and messages in JavaScript', async () => {
+    document.body.innerHTML = `<form id="f2"><div><input name="email"></div><div><input name="p" id="p" value="a"></div><div><input name="c" value="b"></div></form>`;
+    const form = new EagerForm('#f2', { fields: { email: { required: true, messages: { valueMissing: 'Need email' } }, c: { match: '#p', messages: { match: 'No match' } } } });
+    const r = await form.validate();
+    expect(r.fields.email.messages).toEqual(['Need email']);
+    expect(document.querySelector('[name=email]').required).toBe(true);
+    expect(r.fields.c.messages).toEqual(['No match']);
+    expect(document.querySelector('[name=c]').parentNode.textContent).toContain('No match');
+  });
+});
+
+describe('instance registries', () => {
+  test('keeps rules and messages per instance', async () => {
+    document.body.innerHTML = `<form id="g1"><div><input name="a" required data-eager-x="1" value="v"></div></form><form id="g2"><div><input name="a" required></div></form>`;
+    const f1 = new EagerForm('#g1');
+    const f2 = new EagerForm('#g2');
+    f1.rule('x', () => Promise.reject('x failed'));
+    f1.setMessages({ valueMissing: 'F1 missing' });
+    expect(f1.translate('valueMissing')).toBe('F1 missing');
+    expect(f2.translate('valueMissing')).toBe('Please fill out this field.');
+    expect(EagerForm.rules.x).toBeUndefined();
+    expect((await f1.validate()).fields.a.messages).toEqual(['x failed']);
+  });
+});
+
+describe('locales', () => {
+  test('reports a failed load and falls back to the next locale', async () => {
+    const failure = new Error('offline');
+    EagerForm.registerLocaleLoader('zz', () => Promise.reject(failure));
+    EagerForm.registerLocaleLoader('zz-ZZ', () => Promise.resolve({ valueMissing: 'ZZ' }));
+    document.body.innerHTML = `<form id="lf"><div><input name="a" required></div></form>`;
+    const errors = [];
+    document.getElementById('lf').addEventListener('eager:error', e => errors.push(e.detail.error));
+    const form = new EagerForm('#lf', { locale: 'zz', fallbackLocale: null });
+    await expect(form.ready).rejects.toBe(failure);
+    expect(errors).toEqual([failure]);
+    await form.setLocale('zz-ZZ');
+    expect(form.options.locale).toBe('zz-ZZ');
+    expect(form.translate('valueMissing')).toBe('ZZ');
+    await expect(new EagerForm(document.createElement('form')).ready).resolves.toBeInstanceOf(EagerForm);
+  });
+
+  test('walks the locale chain and loads locales lazily', async () => {
+    EagerForm.addLocale('pt', { valueMissing: 'Preencha' });
+    document.body.innerHTML = `<form id="h"><div><input name="a" required></div></form>`;
+    const f = new EagerForm('#h', { locale: 'pt-BR' });
+    expect(f.translate('valueMissing')).toBe('Preencha');
+    expect(f.translate('typeMismatch')).toBe('Please match the requested type');
+    EagerForm.registerLocaleLoader('bn', () => Promise.resolve({ default: { valueMissing: 'BN' } }));
+    await f.validate();
+    expect(document.querySelector('.invalid-feedback').textContent).toBe('Preencha');
+    await f.setLocale('bn');
+    expect(document.querySelector('.invalid-feedback').textContent).toBe('BN');
+    expect(() => new EagerForm(document.createElement('form'), { locale: 'xx', fallbackLocale: null })).toThrow();
+  });
+});
+
+describe('message formatting', () => {
+  test('formats plural and select arguments', () => {
+    const t = '{n, plural, =0 {none} one {# char} other {# chars}} {g, select, a {A{n}} other {O}} {x} {y z}';
+    expect(EagerForm.strtpl(t, { n: 1, g: 'a', x: 'X' })).toBe('1 char A1 X {y z}');
+    expect(EagerForm.strtpl(t, { n: 0, g: 'b' })).toBe('none O  {y z}');
+    expect(EagerForm.strtpl('{n, plural, one {# ko} few {# ki} many {# kow} other {# x}}', { n: 5 }, 'pl')).toBe('5 kow');
+    expect(EagerForm.strtpl('{n, plural, one {#} other {# s}}', { n: 3 }, 'en', v => `<${v}>`)).toBe('<3> s');
+  });
+
+  test('formats numbers and dates with Intl', async () => {
+    document.body.innerHTML = `<form id="i"><div><input type="number" name="n" min="1000" max="2000" value="5"></div>
+     <div><input type="date" name="d" min="2024-03-05" value="2024-01-01"></div>
+     <div><input type="week" name="w" min="2024-W05" value="2024-W01"></div>
+     <div><input type="time" name="t" max="13:45" value="14:00"></div></form>`;
+    const f = new EagerForm('#i');
+    f.setMessages({ rangeUnderflow: 'min {min}', rangeOverflow: 'max {max}' });
+    const el = n => document.querySelector(`[name=${n}]`);
+    expect(f.getMessage(el('n'), 'rangeUnderflow')).toBe('min 1,000');
+    expect(f.getMessage(el('d'), 'rangeUnderflow')).toBe('min March 5, 2024');
+    expect(f.getMessage(el('w'), 'rangeUnderflow')).toBe('min Week 5, 2024');
+    expect(f.getMessage(el('t'), 'rangeOverflow')).toBe('max 1:45 PM');
+    expect(parseInt(f.formatValue(12))).toBe(12);
+  });
+
+  test('formats placeholders for locale names Intl rejects', () => {
+    EagerForm.addLocale('pt_BR', { rangeUnderflow: 'Mínimo {min}', numbers: { 1: '¹' } });
+    document.body.innerHTML = `<form id="ib"><div><input type="number" name="n" min="1000" value="5"></div></form>`;
+    const form = new EagerForm('#ib', { locale: 'pt_BR' });
+    expect(form.getMessage(document.querySelector('[name=n]'), 'rangeUnderflow')).toBe('Mínimo ¹,000');
+  });
+
+  test('fills the label and other placeholders', async () => {
+    document.body.innerHTML = `<form id="j"><div><label for="pw">Password *</label><input id="pw" name="pw" value="a"></div>
+     <div><input aria-label="Confirm password" name="c" value="b" data-eager-match="#pw" data-eager-match-error="{label} must match {other}"></div>
+     <div><input name="q" data-eager-label="Code" pattern="[0-9]+" value="x" data-eager-pattern-mismatch-error="{label} {value} {pattern}"></div></form>`;
+    const f = new EagerForm('#j');
+    const r = await f.validate();
+    expect(r.fields.c.messages).toEqual(['Confirm password must match Password']);
+    expect(r.fields.q.messages).toEqual(['Code x [0-9]+']);
+  });
+});
+
+describe('remote rule', () => {
+  test('sends the request through the transport, retries and aborts', async () => {
+    document.body.innerHTML = `<form id="k"><div><input name="u" value="bob" data-eager-remote="/check?u={value}"></div></form>`;
+    const calls = [];
+    let mode = 'ok';
+    const transport = (url, init) => {
+      calls.push([url, init.method]);
+      if (mode === 'err') return Promise.reject(new TypeError('net'));
+      if (mode === 'slow') return new Promise((res, rej) => init.signal.addEventListener('abort', () => { const e = new Error('a'); e.name = 'AbortError'; rej(e); }));
+      return Promise.resolve({ status: mode === 'ok' ? 200 : 404 });
+    };
+    const f = new EagerForm('#k', { transport, remote: { onNetworkError: 'retry', retries: 1 } });
+    const el = document.querySelector('[name=u]');
+    expect((await f.validateField(el)).valid).toBe(true);
+    expect(calls[0]).toEqual(['/check?u=bob', 'GET']);
+    mode = 'bad';
+    expect((await f.validateField(el)).messages).toEqual(["The field doesn't pass remote validation."]);
+    mode = 'err'; calls.length = 0;
+    expect((await f.validateField(el)).messages).toEqual(["The field couldn't be validated right now, please try again."]);
+    expect(calls.length).toBe(2);
+    expect(el.parentNode.getAttribute('data-eager-remote-busy')).toBe('false');
+    mode = 'slow';
+    const first = f.validateField(el);
+    mode = 'ok';
+    const second = f.validateField(el);
+    expect((await first).valid).toBe(true);
+    expect((await second).valid).toBe(true);
+  });
+
+  test('resets the busy state when a pending request is aborted', async () => {
+    document.body.innerHTML = `<form id="kb"><div><input name="u" value="bob" required data-eager-remote="/check?u={value}"></div></form>`;
+    const transport = url => (url === '/check?u=bob' ? Promise.resolve({ status: 200 }) : new Promise(() => {}));
+    const form = new EagerForm('#kb', { transport, remote: { cache: 1000 } });
+    const el = document.querySelector('[name=u]');
+    const parent = el.parentNode;
+    await form.validateField(el);
+    el.value = 'alice';
+    form.validateField(el);
+    await tick();
+    expect(parent.getAttribute('data-eager-remote-busy')).toBe('true');
+    el.value = '';
+    await form.validateField(el);
+    expect(parent.getAttribute('data-eager-remote-busy')).toBe('false');
+    el.value = 'alice';
+    form.validateField(el);
+    await tick();
+    el.value = 'bob';
+    await form.validateField(el);
+    expect(parent.getAttribute('data-eager-remote-busy')).toBe('false');
+  });
+
+  test('aborts timed out requests and retries with a new one', async () => {
+    document.body.innerHTML = `<form id="kt"><div><input name="u" value="bob" data-eager-remote="/check"></div></form>`;
+    const signals = [];
+    const transport = (url, init) => {
+      signals.push(init.signal);
+      return signals.length === 1 ? new Promise(() => {}) : Promise.resolve({ status: 200 });
+    };
+    const form = new EagerForm('#kt', { transport, remote: { timeout: 20, onNetworkError: 'retry', retries: 1 } });
+    expect((await form.validateField(document.querySelector('[name=u]'))).valid).toBe(true);
+    expect(signals.map(signal => signal.aborted)).toEqual([true, false]);
+  });
+
+  test('reads JSON outcomes and caches them', async () => {
+    document.body.innerHTML = `<form id="l"><div><input name="u" value="bob" data-eager-remote="/c?u={value}"></div></form>`;
+    let calls = 0;
+    const transport = () => { calls++; return Promise.resolve({ status: 200, headers: { get: () => 'application/json' }, json: () => Promise.resolve({ valid: false, suggestions: ['bob1', 'bob2'] }) }); };
+    const f = new EagerForm('#l', { transport, remote: { cache: 1000 } });
+    f.setMessages({ remoteInvalid: 'Taken, try {suggestions}' });
+    const el = document.querySelector('[name=u]');
+    expect((await f.validateField(el)).messages).toEqual(['Taken, try bob1, bob2']);
+    expect((await f.validateField(el)).messages).toEqual(['Taken, try bob1, bob2']);
+    expect(calls).toBe(1);
+  });
+
+  test('caches the outcomes, not their messages, and keeps the cache bounded', async () => {
+    EagerForm.addLocale('fr', { remoteInvalid: 'Refusé' });
+    document.body.innerHTML = `<form id="lc"><div><input name="u" value="bob" data-eager-remote="/c?u={value}"></div></form>`;
+    let calls = 0;
+    const transport = () => { calls++; return Promise.resolve({ status: 404 }); };
+    const f = new EagerForm('#lc', { transport, remote: { cache: 1000 } });
+    const el = document.querySelector('[name=u]');
+    expect((await f.validateField(el)).messages).toEqual(["The field doesn't pass remote validation."]);
+    await f.setLocale('fr');
+    expect((await f.validateField(el)).messages).toEqual(['Refusé']);
+    expect(calls).toBe(1);
+    for (let i = 0; i < 120; i++) {
+      el.value = `bob${i}`;
+      await f.validateField(el);
+    }
+    expect(f.remoteCache.size).toBe(100);
+    f.destroy();
+    expect(f.remoteCache.size).toBe(0);
+  });
+
+  test('shows the messages of the server as they are', async () => {
+    document.body.innerHTML = `<form id="lv"><div><input name="u" value="bob" data-eager-remote="/c"></div></form>`;
+    const transport = () => Promise.resolve({ status: 200, headers: { get: () => 'application/json' }, json: () => Promise.resolve({ valid: false, message: 'Use {a, plural, one {#} other {#}} or {name}' }) });
+    const f = new EagerForm('#lv', { transport });
+    expect((await f.validateField(document.querySelector('[name=u]'))).messages).toEqual(['Use {a, plural, one {#} other {#}} or {name}']);
+  });
+});
+
+describe('conditional rules', () => {
+  test('validates fields depending on other fields', async () => {
+    document.body.innerHTML = `<form id="m"><div><select name="type"><option value="personal">p</option><option value="business">b</option></select></div>
+     <div><input name="vat" data-eager-required-if="type=business"></div>
+     <div><input name="x" data-eager-when="type!=personal" required></div>
+     <div><input name="y"></div></form>`;
+    const f = new EagerForm('#m', { fields: { y: { required: true, when: (el, form) => form.elements.type.value === 'business', depends: ['type'] } } });
+    let r = await f.validate();
+    expect(r.valid).toBe(true);
+    expect(Object.keys(r.fields)).toEqual(['type', 'vat']);
+    const type = document.querySelector('[name=type]');
+    type.value = 'business';
+    r = await f.validate();
+    expect(r.fields.vat.validity).toEqual(['valueMissing']);
+    expect(r.fields.x.valid).toBe(false);
+    expect(r.fields.y.valid).toBe(false);
+    type.value = 'personal';
+    type.dispatchEvent(new Event('change', { bubbles: true }));
+    await new Promise(r => setTimeout(r, 10));
+    expect(document.querySelector('[name=vat]').classList.contains('is-invalid')).toBe(false);
+    expect(document.querySelector('[name=y]').classList.contains('is-invalid')).toBe(false);
+  });
+
+  test('clears the error of a rule once it is switched off', async () => {
+    document.body.innerHTML = `<form id="mo"><div><input name="check" id="check" value="1"></div>
+      <div><input name="a" value="x" data-eager-no="1" data-eager-no-when="#check"></div></form>`;
+    const form = new EagerForm('#mo');
+    form.rule('no', () => Promise.reject('No'));
+    const a = document.querySelector('[name=a]');
+    expect((await form.validateField(a)).messages).toEqual(['No']);
+    document.getElementById('check').value = '';
+    const r = await form.validateField(a);
+    expect(r.valid).toBe(true);
+    expect(r.messages).toEqual([]);
+    expect(a.validity.valid).toBe(true);
+    expect(a.classList.contains('is-invalid')).toBe(false);
+    a.setCustomValidity('Outside');
+    expect((await form.validateField(a)).validity).toEqual(['customError']);
+  });
+});
+
+describe('dependencies', () => {
+  test('revalidates the dependents after their own debounce', async () => {
+    document.body.innerHTML = `<form id="dp"><div><input name="country" value="us"></div>
+      <div><input name="zip" value="1" data-eager-depends="country" data-eager-check="1" data-eager-input-debounce="30"></div></form>`;
+    const form = new EagerForm('#dp');
+    let calls = 0;
+    form.rule('check', () => { calls++; return Promise.resolve(); });
+    await form.validate();
+    calls = 0;
+    const country = document.querySelector('[name=country]');
+    ['u', 'us', 'usa'].forEach((value) => {
+      country.value = value;
+      country.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+    expect(calls).toBe(0);
+    await tick(60);
+    expect(calls).toBe(1);
+  });
+
+  test('reports a malformed depends attribute instead of throwing', () => {
+    document.body.innerHTML = `<form id="dm"><div><input name="a" data-eager-depends='["b"'></div><div><input name="b"></div></form>`;
+    const errors = [];
+    document.getElementById('dm').addEventListener('eager:error', e => errors.push([e.detail.error.message, e.detail.field.name]));
+    expect(() => new EagerForm('#dm')).not.toThrow();
+    expect(errors).toEqual([['The data-eager-depends attribute of "a" must be a comma separated list or a JSON array of fields, got "[\"b\"".', 'a']]);
+  });
+});
+
+describe('observe option', () => {
+  test('registers added fields and cleans up removed ones', async () => {
+    document.body.innerHTML = `<form id="o"><div id="box"></div></form>`;
+    const f = new EagerForm('#o', { observe: true, fields: { street: { required: true } } });
+    const box = document.getElementById('box');
+    box.innerHTML = '<div class="a"><input name="street"></div>';
+    await new Promise(r => setTimeout(r, 0));
+    const el = document.querySelector('[name=street]');
+    expect(el.required).toBe(true);
+    await f.validateField(el);
+    const fb = el.nextElementSibling;
+    expect(fb.className).toBe('invalid-feedback');
+    el.remove();
+    await new Promise(r => setTimeout(r, 0));
+    expect(fb.parentNode).toBe(null);
+    expect(f.results.has(el)).toBe(false);
+  });
+});
+
+describe('destroy()', () => {
+  test('cancels pending validations and requests', async () => {
+    document.body.innerHTML = `<form id="ds"><div><input name="a" required data-eager-input-debounce="20"></div>
+      <div><input name="b" required data-eager-input-delay="20"></div>
+      <div><input name="c" value="x" data-eager-slow="1"></div>
+      <div><input name="d" value="x" data-eager-remote="/check"></div></form>`;
+    const signals = [];
+    const transport = (url, init) => { signals.push(init.signal); return new Promise(() => {}); };
+    const form = new EagerForm('#ds', { transport });
+    form.rule('slow', () => new Promise((res, rej) => setTimeout(() => rej('Slow no'), 20)));
+    const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(name => document.querySelector(`[name=${name}]`));
+    a.dispatchEvent(new Event('input', { bubbles: true }));
+    b.dispatchEvent(new Event('input', { bubbles: true }));
+    form.validateField(c);
+    form.validateField(d);
+    await tick();
+    form.destroy();
+    await tick(50);
+    expect(signals[0].aborted).toBe(true);
+    expect(document.querySelectorAll('.invalid-feedback').length).toBe(0);
+    [a, b, c, d].forEach(element => expect(element.hasAttribute('aria-invalid')).toBe(false));
+  });
+});
+
+describe('error summary', () => {
+  test('lists the errors and keeps them up to date', async () => {
+    document.body.innerHTML = `<form id="s"><div><input id="a" name="a" required></div><div><input id="b" name="b" required></div><button type="submit">s</button></form>`;
+    const f = new EagerForm('#s', { errorSummary: true, autoScroll: false });
+    await f.handleSubmit(new Event('submit', { cancelable: true }));
+    const sum = document.querySelector('.eager-error-summary');
+    expect(sum.querySelectorAll('li').length).toBe(2);
+    expect(sum.querySelector('h2').textContent).toBe('There are 2 problems with this form');
+    expect(document.activeElement).toBe(sum);
+    document.getElementById('a').value = 'x';
+    await f.validateField(document.getElementById('a'));
+    expect(sum.querySelectorAll('li').length).toBe(1);
+    expect(sum.querySelector('a').getAttribute('href')).toBe('#b');
+  });
+});
+
+describe('accessibility', () => {
+  test('sets aria-invalid and aria-describedby', async () => {
+    document.body.innerHTML = `<form id="ar"><div><input id="e" name="e" required aria-describedby="hint"><small id="hint">h</small></div>
+     <fieldset><div><input type="radio" name="r" value="1" required></div><div><input type="radio" name="r" value="2"></div></fieldset><button type="submit">s</button></form>`;
+    const f = new EagerForm('#ar');
+    await f.validate();
+    const e = document.getElementById('e');
+    expect(e.getAttribute('aria-invalid')).toBe('true');
+    expect(e.getAttribute('aria-describedby')).toBe('hint ar-e-feedback');
+    expect(document.getElementById('ar-e-feedback')).not.toBe(null);
+    expect(document.querySelector('fieldset').getAttribute('aria-describedby')).toBe('ar-r-feedback');
+    e.value = 'x';
+    await f.validateField(e);
+    expect(e.getAttribute('aria-invalid')).toBe('false');
+    expect(e.getAttribute('aria-describedby')).toBe('hint');
+    f.restoreState();
+    expect(e.hasAttribute('aria-invalid')).toBe(false);
+  });
+
+  test('leaves the form id and the ids of the markup alone', async () => {
+    document.body.innerHTML = `<form><div><input name="a" required aria-describedby="hint"><small id="hint">h</small><div class="invalid-feedback" id="own"></div></div>
+      <div><input name="b" required aria-describedby="fb"><div class="invalid-feedback" id="fb"></div></div><button type="submit">s</button></form>`;
+    const form = new EagerForm(document.querySelector('form'), { errorSummary: true });
+    const a = document.querySelector('[name=a]');
+    const b = document.querySelector('[name=b]');
+    await form.handleSubmit(new Event('submit', { cancelable: true }));
+    expect(document.querySelector('form').hasAttribute('id')).toBe(false);
+    expect(document.querySelector('.eager-error-summary h2').id).toMatch(/^eager-form-\d+-error-summary-title$/);
+    expect(a.getAttribute('aria-describedby')).toBe('hint own');
+    expect(b.getAttribute('aria-describedby')).toBe('fb');
+    a.value = 'x';
+    b.value = 'x';
+    await form.validate();
+    expect(a.getAttribute('aria-describedby')).toBe('hint');
+    expect(b.getAttribute('aria-describedby')).toBe('fb');
+  });
+});
+
+describe('steps', () => {
+  test('validates each step before moving on', async () => {
+    document.body.innerHTML = `<form id="w"><fieldset class="st"><div><input name="a" required></div><button type="button" data-eager-next>n</button></fieldset>
+      <fieldset class="st"><div><input name="b" required></div><button type="button" data-eager-prev>p</button></fieldset><button type="submit">s</button></form>`;
+    const f = new EagerForm('#w', { steps: '.st', autoScroll: false });
+    const steps = document.querySelectorAll('.st');
+    expect(steps[1].hidden).toBe(true);
+    const changes = [];
+    document.getElementById('w').addEventListener('eager:step-change', e => changes.push([e.detail.from, e.detail.to]));
+    expect(await f.next()).toBe(false);
+    expect((await f.validateSection(steps[1])).fields.b).toBeDefined();
+    document.querySelector('[name=a]').value = 'x';
+    expect(await f.next()).toBe(true);
+    expect(steps[0].hidden).toBe(true);
+    document.querySelector('[name=a]').value = '';
+    await f.handleSubmit(new Event('submit', { cancelable: true }));
+    expect(f.currentStep).toBe(0);
+    expect(changes).toEqual([[0, 1], [1, 0]]);
+  });
+});
+
+describe('group rules', () => {
+  test('checks the number of checked boxes', async () => {
+    document.body.innerHTML = `<form id="g"><fieldset data-eager-min-checked="2" data-eager-max-checked="3">
+      <div><input type="checkbox" name="t" value="1" id="t1"></div><div><input type="checkbox" name="t" value="2"></div>
+      <div><input type="checkbox" name="t" value="3"></div><div><input type="checkbox" name="t" value="4"></div></fieldset>
+      <div><input type="checkbox" name="u" value="1" data-eager-min-checked="1"></div><div><input type="checkbox" name="u" value="2"></div>
+      <button type="submit">s</button></form>`;
+    const form = new EagerForm('#g');
+    let r = await form.validate();
+    expect(r.fields.t.messages).toEqual(['Please select at least 2 options.']);
+    expect(r.fields.u.messages).toEqual(['Please select at least 1 option.']);
+    expect(document.querySelectorAll('fieldset .invalid-feedback').length).toBe(1);
+    expect(document.querySelector('fieldset').lastElementChild.className).toBe('invalid-feedback');
+    const boxes = document.querySelectorAll('[name=t]');
+    boxes.forEach(b => { b.checked = true; });
+    r = await form.validate();
+    expect(r.fields.t.messages).toEqual(['Please select no more than 3 options.']);
+    boxes[3].checked = false;
+    boxes[3].dispatchEvent(new Event('change', { bubbles: true }));
+    await tick(50);
+    expect(Array.from(boxes).every(b => b.validity.valid)).toBe(true);
+    expect(document.querySelector('fieldset .invalid-feedback').textContent).toBe('');
+  });
+});
+
+describe('file rules', () => {
+  test('checks sizes, types, counts and dimensions', async () => {
+    document.body.innerHTML = `<form id="fl"><div><input type="file" name="f" multiple data-eager-max-size="1KB" data-eager-max-total-size="1.5KB"
+      data-eager-mimes="image/*" data-eager-extensions="png,jpg" data-eager-max-files="2" data-eager-min-width="100" data-eager-ratio="4:3"></div><button type="submit">s</button></form>`;
+    const input = document.querySelector('[name=f]');
+    const setFiles = (files) => Object.defineProperty(input, 'files', { value: files, configurable: true });
+    global.URL.createObjectURL = () => 'blob:x';
+    global.URL.revokeObjectURL = () => {};
+    const sizes = { 'a.png': [120, 90], 'b.png': [50, 50] };
+    global.Image = class { set src(v) { const s = sizes[this.constructor.cur]; this.naturalWidth = s[0]; this.naturalHeight = s[1]; setTimeout(() => this.onload()); } };
+    const form = new EagerForm('#fl', { bail: false });
+    const file = (name, size, type) => ({ name, size, type });
+    global.Image.cur = 'a.png';
+    setFiles([file('a.png', 1000, 'image/png')]);
+    let r = await form.validate();
+    expect(r.valid).toBe(true);
+    setFiles([file('a.png', 2048, 'image/png')]);
+    r = await form.validate();
+    expect(r.fields.f.messages[0]).toBe("The file a.png is 2 kB, it can't be larger than 1 kB.");
+    setFiles([file('a.png', 1000, 'image/png'), file('c.png', 1000, 'image/png')]);
+    r = await form.validate();
+    expect(r.fields.f.rules).toEqual(['max-total-size']);
+    expect(r.fields.f.messages[0]).toContain('2 kB in total');
+    setFiles([file('a.gif', 10, 'image/gif'), file('x.pdf', 10, 'application/pdf'), file('y.png', 1, 'image/png')]);
+    r = await form.validate();
+    expect(r.fields.f.rules.sort()).toEqual(['extensions', 'max-files', 'mimes']);
+    global.Image.cur = 'b.png';
+    setFiles([file('b.png', 100, 'image/png')]);
+    r = await form.validate();
+    expect(r.fields.f.rules.sort()).toEqual(['min-width', 'ratio']);
+  });
+});
+
+describe('comparison rules', () => {
+  test('compares typed values to other fields', async () => {
+    document.body.innerHTML = `<form id="cp"><div><label for="s">Start date</label><input type="date" name="start" id="s" value="2024-05-10"></div>
+      <div><input type="date" name="end" id="e" value="2024-05-09" data-eager-after="#s"></div>
+      <div><input type="number" name="min" value="9"></div><div><input type="number" name="max" value="10" data-eager-gte="min"></div>
+      <div><input type="text" name="lo" value="9"></div><div><input type="text" name="hi" value="10" data-eager-gt="lo"></div>
+      <div><input type="password" name="old" value="1.0"></div><div><input type="password" name="new" value="1" data-eager-different="old"></div>
+      <button type="submit">s</button></form>`;
+    const form = new EagerForm('#cp');
+    let r = await form.validate();
+    expect(r.fields.end.messages).toEqual(['Please enter a value after Start date.']);
+    expect(r.fields.max.valid).toBe(true);
+    expect(r.fields.hi.valid).toBe(true);
+    expect(r.fields.new.valid).toBe(true);
+    const start = document.getElementById('s');
+    start.value = '2024-05-01';
+    start.dispatchEvent(new Event('change', { bubbles: true }));
+    await tick(50);
+    expect(document.getElementById('e').validity.valid).toBe(true);
+    form.rule('x', () => Promise.resolve());
+    const old = document.querySelector('[name=old]');
+    old.value = '1';
+    old.dispatchEvent(new Event('change', { bubbles: true }));
+    await tick(50);
+    expect(document.querySelector('[name=new]').validationMessage).toBe('Please enter a value different from old.');
+  });
+});
+
+describe('normalizers', () => {
+  test('validates the normalized value', async () => {
+    document.body.innerHTML = `<form id="nm"><div><input name="n" required data-eager-trim value="   "></div>
+      <div><input name="e" type="email" data-eager-lowercase value=" A@B.CO " data-eager-match="#e2"></div><div><input id="e2" name="e2" value="a@b.co"></div>
+      <div><input name="p" data-eager-digits-only minlength="5" value="(12) 3"></div>
+      <div><input name="c" data-eager-trim="false" value=" x "></div><button type="submit">s</button></form>`;
+    EagerForm.normalizer('shout', v => v.toUpperCase());
+    const form = new EagerForm('#nm', { normalize: ['trim', 'collapse-whitespace'], normalizeOnBlur: true });
+    let r = await form.validate();
+    expect(r.fields.n.validity).toEqual(['valueMissing']);
+    expect(r.fields.e.valid).toBe(true);
+    expect(r.fields.p.validity).toEqual(['tooShort']);
+    expect(form.getValue(document.querySelector('[name=c]'))).toBe(' x ');
+    const e = document.querySelector('[name=e]');
+    e.dispatchEvent(new FocusEvent('blur'));
+    expect(e.value).toBe('a@b.co');
+    expect(() => EagerForm.normalizer('error', v => v)).toThrow();
+    expect(() => EagerForm.normalizer('match', v => v)).toThrow('match is already registered as a rule');
+    expect(() => EagerForm.rule('shout', () => Promise.resolve())).toThrow('shout is already registered as a normalizer');
+    delete EagerForm.normalizers.shout;
+  });
+
+  test('agrees with validate() on the first error and sends the normalized values', async () => {
+    document.body.innerHTML = `<form id="nv"><div><input name="phone" data-eager-digits-only pattern="[0-9]+" value="(555) 123"></div>
+      <div><input name="code" required data-eager-remote="/check" data-eager-remote-options='{"send":"form","method":"POST","encoding":"json"}'></div>
+      <button type="submit">s</button></form>`;
+    const bodies = [];
+    const transport = (url, init) => { bodies.push(JSON.parse(init.body)); return Promise.resolve({ status: 200 }); };
+    const form = new EagerForm('#nv', { transport, autoScroll: false });
+    const button = document.querySelector('button');
+    await form.handleSubmit(new Event('submit', { cancelable: true }));
+    expect(button.disabled).toBe(true);
+    expect(form.getFirstError().name).toBe('code');
+    const code = document.querySelector('[name=code]');
+    code.value = 'x';
+    await form.validateField(code);
+    expect(form.isValid()).toBe(true);
+    expect(form.getFirstError()).toBe(null);
+    expect(button.disabled).toBe(false);
+    expect(bodies[0]).toEqual({ phone: '555123', code: 'x' });
+  });
+});
+
+describe('server errors', () => {
+  test('shows errors until the field is edited', async () => {
+    document.body.innerHTML = `<form id="se"><div><input name="email" id="email" value="a@b.co" data-eager-x="1"></div>
+      <div><input name="items[0][qty]" id="q" value="3"></div><div><input type="checkbox" name="tags[]" value="a"></div>
+      <button type="submit">s</button></form>`;
+    const form = new EagerForm('#se', { autoScroll: false });
+    form.rule('x', () => Promise.resolve());
+    const unknown = form.setErrors({ email: ['Taken', 'Also bad'], 'items.0.qty': 'Too many {max}', 'tags.1': ['Bad tag'], nope: ['x'] });
+    expect(unknown).toEqual(['nope']);
+    const email = document.getElementById('email');
+    expect(document.activeElement).toBe(email);
+    expect(email.parentNode.textContent).toContain('Taken');
+    expect(document.getElementById('q').validationMessage).toBe('Too many {max}');
+    expect(document.querySelector('[name="tags[]"]').validationMessage).toBe('Bad tag');
+    email.dispatchEvent(new FocusEvent('blur'));
+    let r = await form.validate();
+    expect(r.fields.email.messages).toEqual(['Taken', 'Also bad']);
+    email.value = 'c@d.co';
+    email.dispatchEvent(new Event('input', { bubbles: true }));
+    await tick(10);
+    expect(email.validity.valid).toBe(true);
+    expect(email.parentNode.querySelector('.invalid-feedback').textContent).toBe('');
+    expect(form.setFieldError('items.0.qty', 'Again')).toBe(true);
+    form.restoreState();
+    expect(document.getElementById('q').validity.valid).toBe(true);
+  });
+});
+
+describe('ajax option', () => {
+  test('sends the valid form through the transport', async () => {
+    document.body.innerHTML = `<form id="aj" action="/save" method="post"><div><input name="email" value="a@b.co"></div>
+      <div><input name="tags" value="x"></div><div><input name="tags" value="y"></div><button type="submit" name="go" value="1">s</button></form>`;
+    const calls = [];
+    let status = 200;
+    const transport = (url, init) => {
+      calls.push([url, init]);
+      return new Promise(r => setTimeout(() => r({ status, headers: { get: () => 'application/json' }, json: () => Promise.resolve(status === 422 ? { errors: { email: ['Taken'] } } : { ok: 1 }) }), 20));
+    };
+    const form = new EagerForm('#aj', { ajax: { encoding: 'json' }, transport, autoScroll: false });
+    const events = [];
+    const el = document.getElementById('aj');
+    el.addEventListener('eager:submit-success', e => events.push(['ok', e.detail.data]));
+    el.addEventListener('eager:submit-error', e => events.push(['err', e.detail.response.status]));
+    const btn = document.querySelector('button');
+    btn.click();
+    await tick(5);
+    expect(btn.getAttribute('aria-busy')).toBe('true');
+    expect(btn.classList.contains('is-busy')).toBe(true);
+    await tick(40);
+    expect(calls[0][0]).toBe('/save');
+    expect(calls[0][1].method).toBe('POST');
+    expect(JSON.parse(calls[0][1].body)).toEqual({ email: 'a@b.co', tags: ['x', 'y'] });
+    expect(events).toEqual([['ok', { ok: 1 }]]);
+    expect(btn.hasAttribute('aria-busy')).toBe(false);
+    status = 422;
+    btn.click();
+    await tick(50);
+    expect(events[1]).toEqual(['err', 422]);
+    expect(document.querySelector('[name=email]').validationMessage).toBe('Taken');
+  });
+
+  test('sends the form once however many times it is submitted', async () => {
+    document.body.innerHTML = `<form id="ad" action="/save" method="post"><div><input name="a" value="x" data-eager-slow="1"></div><button type="submit">s</button></form>`;
+    let posts = 0;
+    const transport = () => { posts++; return new Promise(r => setTimeout(() => r({ status: 200 }), 20)); };
+    const form = new EagerForm('#ad', { ajax: true, transport });
+    form.rule('slow', () => new Promise(r => setTimeout(r, 20)));
+    const button = document.querySelector('button');
+    const held = form.handleSubmit(new Event('submit', { cancelable: true }));
+    expect(form.handleSubmit(new Event('submit', { cancelable: true }))).toBe(held);
+    await tick(30);
+    expect(form.handleSubmit(new Event('submit', { cancelable: true }))).toBe(held);
+    button.click();
+    await held;
+    await tick(30);
+    expect(posts).toBe(1);
+  });
+
+  test('gives the submit button its own disabled state back', async () => {
+    document.body.innerHTML = `<form id="ab" action="/save" method="post"><div><input name="a" value="x"></div>
+      <button type="submit" name="save">s</button><button type="submit" name="later" disabled>l</button></form>`;
+    const form = new EagerForm('#ab', { ajax: true, transport: () => Promise.resolve({ status: 200 }) });
+    const [save, later] = document.querySelectorAll('button');
+    await form.submitAjax(later);
+    expect(later.disabled).toBe(true);
+    expect(later.hasAttribute('aria-busy')).toBe(false);
+    await form.submitAjax(save);
+    expect(save.disabled).toBe(false);
+  });
+
+  test('aborts the request once it times out', async () => {
+    document.body.innerHTML = `<form id="at" action="/save" method="post"><div><input name="a" value="x"></div><button type="submit">s</button></form>`;
+    const signals = [];
+    const transport = (url, init) => { signals.push(init.signal); return new Promise(() => {}); };
+    const form = new EagerForm('#at', { ajax: { timeout: 20 }, transport });
+    let error;
+    document.getElementById('at').addEventListener('eager:submit-error', e => { error = e.detail.error; });
+    await form.handleSubmit(new Event('submit', { cancelable: true }));
+    expect(error.message).toBe('The request to /save timed out.');
+    expect(signals[0].aborted).toBe(true);
+    expect(document.querySelector('button').disabled).toBe(false);
+  });
+});
+
+describe('events', () => {
+  test('dispatches after-validate with the error of a failed validation', async () => {
+    document.body.innerHTML = `<form id="ee"><div><input name="a" value="x" data-eager-first="1" data-eager-broken="1"></div></form>`;
+    const form = new EagerForm('#ee');
+    const failure = new Error('boom');
+    form.rule('first', () => Promise.resolve());
+    form.rule('broken', () => { throw failure; });
+    const details = [];
+    document.getElementById('ee').addEventListener('eager:after-validate', e => details.push(e.detail));
+    await expect(form.validateField(document.querySelector('[name=a]'))).rejects.toBe(failure);
+    expect(details.length).toBe(1);
+    expect(details[0].name).toBe('a');
+    expect(details[0].error).toBe(failure);
+    expect(details[0].result).toBe(null);
+  });
+
+  test('dispatches events with details once the rules settle', async () => {
+    document.body.innerHTML = `<form id="ev"><div><input name="a" required data-eager-input-debounce="30" data-eager-slow="1"></div>
+      <div><input name="b" value="x"></div><button type="submit">s</button></form>`;
+    const form = new EagerForm('#ev');
+    form.rule('slow', el => new Promise((res, rej) => setTimeout(() => (el.value === 'bad' ? rej('Slow no') : res()), 20)));
+    const seen = [];
+    const el = document.getElementById('ev');
+    ['eager:after-validate', 'eager:valid', 'eager:invalid', 'eager:done'].forEach(n => el.addEventListener(n, e => seen.push([n, e.detail.name || null, e.detail.valid, e.detail.rule, e.detail.message])));
+    const a = document.querySelector('[name=a]');
+    a.value = 'bad';
+    a.dispatchEvent(new Event('input', { bubbles: true }));
+    a.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(seen).toEqual([]);
+    await tick(80);
+    expect(seen).toEqual([['eager:after-validate', 'a', false, 'slow', 'Slow no'], ['eager:invalid', 'a', false, 'slow', 'Slow no']]);
+    el.addEventListener('eager:before-validate', e => e.preventDefault(), { once: true });
+    a.value = '';
+    a.dispatchEvent(new Event('input', { bubbles: true }));
+    await tick(80);
+    expect(seen.length).toBe(2);
+    seen.length = 0;
+    let doneDetail;
+    el.addEventListener('eager:done', e => { doneDetail = e.detail; });
+    document.querySelector('button').click();
+    await tick(60);
+    expect(doneDetail.valid).toBe(false);
+    expect(doneDetail.invalid).toEqual(['a']);
+    expect(seen.filter(x => x[0] === 'eager:valid').map(x => x[1])).toEqual(['b']);
+    expect(seen[seen.length - 1][0]).toBe('eager:done');
+  });
+});
+
+describe('renderers', () => {
+  test('draws the errors with presets or custom renderers', async () => {
+    document.body.innerHTML = `<form id="rt"><div><input name="a" required></div><button type="submit">s</button></form>`;
+    let form = new EagerForm('#rt', { renderer: 'tailwind' });
+    const a = document.querySelector('[name=a]');
+    await form.validate();
+    expect(a.className).toContain('border-red-500');
+    const fb = a.nextElementSibling;
+    expect(fb.tagName).toBe('P');
+    expect(fb.className).toBe('eager-feedback mt-2 text-sm text-red-600');
+    expect(a.getAttribute('aria-describedby')).toBe(fb.id);
+    a.value = 'x';
+    await form.validate();
+    expect(a.className).not.toContain('border-red-500');
+    expect(a.className).toContain('border-green-500');
+    expect(fb.textContent).toBe('');
+    form.destroy();
+
+    document.body.innerHTML = `<form id="rb"><div class="field"><div class="control"><input name="a" required></div></div><button type="submit">s</button></form>`;
+    form = new EagerForm('#rb', { renderer: 'bulma' });
+    await form.validate();
+    expect(document.querySelector('p.help.is-danger').textContent).toBe('Please fill out this field.');
+    expect(document.querySelector('.control').className).toBe('control');
+
+    document.body.innerHTML = `<form id="rc"><div><input name="a" required></div><button type="submit">s</button></form>`;
+    const calls = [];
+    form = new EagerForm('#rc', { renderer: { renderError(el, msg) { calls.push(['err', msg, this instanceof EagerForm]); return null; } } });
+    await form.validate();
+    expect(calls).toEqual([['err', 'Please fill out this field.', true]]);
+    expect(document.querySelector('[name=a]').getAttribute('aria-invalid')).toBe('true');
+    expect(() => new EagerForm(document.createElement('form'), { renderer: 'nope' })).toThrow('The renderer nope doesn\'t exist.');
+  });
+});
+
+describe('messages option', () => {
+  test('shows the first, last or every message', async () => {
+    document.body.innerHTML = `<form id="ms"><div><input name="a" value="ab" data-eager-r1="1" data-eager-r2="1" data-eager-r3="1"></div><button type="submit">s</button></form>`;
+    const rules = (f) => {
+      f.rule('r1', () => new Promise((res, rej) => setTimeout(() => rej('One'), 20)));
+      f.rule('r2', () => Promise.resolve());
+      f.rule('r3', () => Promise.reject('Three'));
+    };
+    let form = new EagerForm('#ms', { messages: 'all', bail: false });
+    rules(form);
+    let r = await form.validate();
+    const a = document.querySelector('[name=a]');
+    expect(r.fields.a.valid).toBe(false);
+    expect(Array.from(a.nextElementSibling.querySelectorAll('li')).map(li => li.textContent)).toEqual(['One', 'Three']);
+    form.destroy();
+    form = new EagerForm('#ms', { messages: 'last', bail: false });
+    rules(form);
+    await form.validate();
+    expect(a.nextElementSibling.textContent).toBe('Three');
+    form.destroy();
+    form = new EagerForm('#ms');
+    rules(form);
+    await form.validate();
+    expect(a.nextElementSibling.textContent).toBe('One');
+  });
+});
+
+describe('rule pipeline', () => {
+  test('runs the reference rule even after a failure', async () => {
+    document.body.innerHTML = `<form id="rr"><div><input id="pw" name="pw" value="secret" required minlength="3" data-eager-no="1" data-eager-reference="#confirm"></div>
+      <div><input id="confirm" name="confirm" value="x"></div></form>`;
+    const form = new EagerForm('#rr');
+    form.rule('no', () => Promise.reject('No'));
+    let changes = 0;
+    document.getElementById('confirm').addEventListener('change', () => { changes++; });
+    const pw = document.getElementById('pw');
+    expect((await form.validateField(pw)).rules).toEqual(['no']);
+    expect(changes).toBe(1);
+  });
+
+  test('reports a malformed list once and falls back to the default order', async () => {
+    document.body.innerHTML = `<form id="rm"><div><input name="a" required data-eager-rules='["trim"' data-eager-trim value=" x "></div>
+      <div><input name="b" required></div><button type="submit">s</button></form>`;
+    const errors = [];
+    document.getElementById('rm').addEventListener('eager:error', e => errors.push([e.detail.error.message, e.detail.field.name]));
+    const form = new EagerForm('#rm', { autoScroll: false });
+    const a = document.querySelector('[name=a]');
+    const b = document.querySelector('[name=b]');
+    expect(form.getValue(a)).toBe('x');
+    await form.handleSubmit(new Event('submit', { cancelable: true }));
+    b.value = 'y';
+    expect(() => b.dispatchEvent(new Event('change', { bubbles: true }))).not.toThrow();
+    await tick(10);
+    expect(form.isValid()).toBe(true);
+    expect(document.querySelector('button').disabled).toBe(false);
+    expect(errors).toEqual([['The data-eager-rules attribute of "a" must be separated with | or , or be a JSON array, got "[\"trim\"".', 'a']]);
+  });
+
+  test('runs the rules in order and bails on the first failure', async () => {
+    document.body.innerHTML = `<form id="ro"><div><input name="a" value=" AB " data-eager-zeta="1" data-eager-remote="/x" data-eager-alpha="1"></div>
+      <div><input name="b" value=" AB " data-eager-rules="lowercase|remote|alpha" data-eager-zeta="1" data-eager-remote="/x" data-eager-alpha="1" data-eager-bail="false"></div>
+      <button type="submit">s</button></form>`;
+    const order = [];
+    const transport = () => { order.push('remote'); return Promise.resolve({ status: 200, headers: { get: () => '' } }); };
+    const form = new EagerForm('#ro', { transport, normalize: ['trim'] });
+    form.rule('alpha', (el) => { order.push(`alpha:${form.getValue(el)}`); return Promise.resolve(); });
+    form.rule('zeta', (el) => { order.push('zeta'); return Promise.reject('Zeta no'); });
+    let r = await form.validateField(document.querySelector('[name=a]'));
+    expect(order).toEqual(['zeta']);
+    expect(r.rules).toEqual(['zeta']);
+    order.length = 0;
+    r = await form.validateField(document.querySelector('[name=b]'));
+    expect(order.sort()).toEqual(['alpha:ab', 'remote', 'zeta']);
+    expect(form.getRuleQueue(document.querySelector('[name=b]'))).toEqual(['remote', 'alpha', 'zeta']);
+    expect(r.rules).toEqual(['zeta']);
+    document.querySelector('[name=a]').setAttribute('data-eager-zeta-when', '#nothing');
+    order.length = 0;
+    await form.validateField(document.querySelector('[name=a]'));
+    expect(order).toEqual(['alpha:AB', 'remote']);
+    document.querySelector('[name=a]').setAttribute('data-eager-rules', 'nope');
+    await expect(form.validateField(document.querySelector('[name=a]'))).rejects.toThrow("The rule nope listed in data-eager-rules doesn't exist.");
+  });
+});
+
+describe('typed parameters', () => {
+  test('parses the parameters of rule definitions', async () => {
+    document.body.innerHTML = `<form id="f"><div><input name="tags" value="a;b;c" data-eager-max-tags="2" data-eager-max-tags-separator=";"></div>
+      <div><input name="n" value="x" data-eager-max-tags="abc"></div>
+      <div><input name="r" value="x" data-eager-remote="/check" data-eager-remote-options="{bad"></div>
+      <div><input name="m" value="x" data-eager-match="#nope"></div>
+      <div><input name="q" value="5" data-eager-gt="missing"></div></form>`;
+    const seen = [];
+    EagerForm.rule('max-tags', {
+      params: { value: 'number', separator: { type: 'string', default: ',' } },
+      validate(element, attribute, { value, separator }) {
+        seen.push([value, separator]);
+        return element.value.split(separator).length <= value ? Promise.resolve() : Promise.reject('Too many');
+      }
+    });
+    expect(() => EagerForm.rule('bad', { params: { value: 'nope' }, validate() {} })).toThrow('The parameter type nope of the rule bad doesn\'t exist.');
+    expect(() => EagerForm.rule('bad', {})).toThrow();
+    const form = new EagerForm('#f');
+    const r = await form.validateField(document.querySelector('[name=tags]'));
+    expect(seen).toEqual([[2, ';']]);
+    expect(r.messages).toEqual(['Too many']);
+    await expect(form.validateField(document.querySelector('[name=n]'))).rejects.toThrow('The data-eager-max-tags attribute of "n" must be a number, got "abc".');
+    await expect(form.validateField(document.querySelector('[name=r]'))).rejects.toThrow(/data-eager-remote-options attribute of "r" must be valid JSON/);
+    await expect(form.validateField(document.querySelector('[name=m]'))).rejects.toThrow('doesn\'t match any element');
+    await expect(form.validateField(document.querySelector('[name=q]'))).rejects.toThrow('doesn\'t match any field');
+    expect(form.rules.gt.field).toBe(true);
+    expect(form.rules['max-checked'].group).toBe(true);
+    expect(form.rules.remote.priority).toBe(100);
+    await expect(form.validate()).rejects.toThrow('must be a number');
+    delete EagerForm.rules['max-tags'];
+  });
+
+  test('rejects malformed file rule parameters', async () => {
+    document.body.innerHTML = `<form id="fp"><div><input type="file" name="s" data-eager-max-size="2 megs"></div>
+      <div><input type="file" name="r" data-eager-ratio="wide"></div>
+      <div><input type="file" name="m" data-eager-mimes="image/png, image/JPEG" data-eager-max-total-size="1.5 MB"></div></form>`;
+    const form = new EagerForm('#fp');
+    await expect(form.validateField(document.querySelector('[name=s]'))).rejects.toThrow('The data-eager-max-size attribute of "s" must be a file size like 500KB or 2MB, got "2 megs".');
+    await expect(form.validateField(document.querySelector('[name=r]'))).rejects.toThrow('must be a ratio like 16/9, 4:3 or 1.5');
+    const m = document.querySelector('[name=m]');
+    expect(form.getRuleParams(m, 'mimes').value).toEqual(['image/png', 'image/JPEG']);
+    expect(form.getRuleParams(m, 'max-total-size').value).toBe(1572864);
+    expect((await form.validateField(m)).valid).toBe(true);
+  });
+
+  test('lets the submission through when the markup is malformed', async () => {
+    document.body.innerHTML = `<form id="mf"><div><input name="a" value="x" data-eager-max-files="many"></div><button type="submit">s</button></form>`;
+    const form = new EagerForm('#mf');
+    const seen = [];
+    const errors = [];
+    document.getElementById('mf').addEventListener('submit', (e) => { seen.push(e.defaultPrevented); e.preventDefault(); });
+    document.getElementById('mf').addEventListener('eager:error', e => errors.push(e.detail.error.message));
+    await expect(form.handleSubmit(new Event('submit', { cancelable: true }))).resolves.toBe(null);
+    expect(seen).toEqual([false]);
+    expect(errors).toEqual(['The data-eager-max-files attribute of "a" must be a number, got "many".']);
+  });
+
+  test('reports malformed parameters found while typing', async () => {
+    document.body.innerHTML = `<form id="mi"><div><input name="a" value="x" data-eager-max-files="many" data-eager-input-debounce="10"></div></form>`;
+    const form = new EagerForm('#mi');
+    const el = document.getElementById('mi');
+    const errors = [];
+    const details = [];
+    el.addEventListener('eager:error', e => errors.push([e.detail.error.message, e.detail.field.name]));
+    el.addEventListener('eager:after-validate', e => details.push(e.detail.error.message));
+    const a = document.querySelector('[name=a]');
+    a.dispatchEvent(new Event('input', { bubbles: true }));
+    a.dispatchEvent(new Event('input', { bubbles: true }));
+    await tick(30);
+    const message = 'The data-eager-max-files attribute of "a" must be a number, got "many".';
+    expect(errors).toEqual([[message, 'a']]);
+    expect(details).toEqual([message]);
+    await expect(form.validateField(a)).rejects.toThrow(message);
+    expect(details.length).toBe(2);
+  });
+});